@@ -1,16 +1,27 @@
 const { Sequelize } = require('sequelize');
 require('dotenv').config();
 
+// DB_DIALECT: mysql (default), postgres, atau sqlite
+const dialect = process.env.DB_DIALECT || 'mysql';
+
+const options = {
+  host: process.env.DB_HOST,
+  dialect,
+  logging: false,
+};
+
+if (dialect === 'sqlite') {
+  // SQLite memakai file lokal dan tidak mendukung pengaturan timezone
+  options.storage = process.env.DB_STORAGE || 'database.sqlite';
+} else {
+  options.timezone = '+07:00';
+}
+
 const sequelize = new Sequelize(
   process.env.DB_NAME,
   process.env.DB_USER,
   process.env.DB_PASS,
-  {
-    host: process.env.DB_HOST,
-    dialect: process.env.DB_DIALECT,
-    logging: false,
-    timezone: '+07:00',
-  }
+  options
 );
 
-module.exports = sequelize;
\ No newline at end of file
+module.exports = sequelize;
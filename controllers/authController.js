@@ -0,0 +1,150 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Membuat token JWT untuk user
+ * token_version ikut disimpan agar token bisa dicabut saat logout
+ * @param {Object} user - Instance User (scope withCredentials)
+ * @returns {string} - Token JWT
+ */
+const generateToken = (user) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      token_version: user.token_version
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
+  );
+};
+
+/**
+ * Data user yang aman untuk dikirim ke client (tanpa password)
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role
+});
+
+// Registrasi user baru
+exports.register = async (req, res) => {
+  try {
+    const { name, email, phone, password } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ message: 'name, email, dan password harus diisi' });
+    }
+
+    if (String(password).length < User.MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `password minimal ${User.MIN_PASSWORD_LENGTH} karakter` });
+    }
+
+    // Cek apakah email sudah terdaftar
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+      return res.status(409).json({ message: 'Email sudah terdaftar' });
+    }
+
+    const hashedPassword = await bcrypt.hash(String(password), User.SALT_ROUNDS);
+
+    // Registrasi publik selalu membuat role user; admin dibuat lewat ADMIN_EMAIL (lihat User.seedAdmin)
+    const user = await User.create({
+      name,
+      email,
+      phone,
+      password: hashedPassword,
+      role: 'user'
+    });
+
+    res.status(201).json({
+      message: 'Registrasi berhasil',
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    // Dua registrasi dengan email yang sama secara bersamaan
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ message: 'Email sudah terdaftar' });
+    }
+
+    console.error('Error registering user:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        message: 'Data registrasi tidak valid',
+        error: error.errors.map((e) => e.message)
+      });
+    }
+
+    res.status(500).json({
+      message: 'Gagal melakukan registrasi',
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+// Login dan mendapatkan token
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'email dan password harus diisi' });
+    }
+
+    if (!process.env.JWT_SECRET) {
+      console.error('JWT_SECRET belum dikonfigurasi');
+      return res.status(500).json({ message: 'Konfigurasi autentikasi server tidak lengkap' });
+    }
+
+    const user = await User.scope('withCredentials').findOne({ where: { email } });
+    if (!user) {
+      return res.status(401).json({ message: 'Email atau password salah' });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Email atau password salah' });
+    }
+
+    const token = generateToken(user);
+
+    res.status(200).json({
+      message: 'Login berhasil',
+      token,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      message: 'Gagal melakukan login',
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+// Logout: mencabut semua token milik user
+exports.logout = async (req, res) => {
+  try {
+    await User.increment('token_version', { where: { id: req.user.id } });
+
+    res.status(200).json({ message: 'Logout berhasil' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      message: 'Gagal melakukan logout',
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+// Mendapatkan data user yang sedang login
+exports.getMe = async (req, res) => {
+  res.status(200).json({ user: req.user });
+};
@@ -0,0 +1,174 @@
+const BusinessHour = require('../models/BusinessHour');
+const Closure = require('../models/Closure');
+const { Op } = require('sequelize');
+const { timeToMinutes } = require('../utils/reservationTime');
+
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validasi data jam operasional
+ * @returns {string|null} - Pesan error atau null jika valid
+ */
+const validateBusinessHour = ({ day_of_week, open_time, close_time }) => {
+  const day = parseInt(day_of_week, 10);
+  if (Number.isNaN(day) || day < 0 || day > 6) {
+    return 'day_of_week harus bernilai 0 (Minggu) sampai 6 (Sabtu)';
+  }
+
+  if (!TIME_PATTERN.test(open_time || '') || !TIME_PATTERN.test(close_time || '')) {
+    return 'open_time dan close_time harus berformat HH:MM atau HH:MM:SS';
+  }
+
+  // close_time lebih awal dari open_time berarti periode berakhir setelah tengah malam (misal 22:00-02:00)
+  if (timeToMinutes(close_time) === timeToMinutes(open_time)) {
+    return 'close_time tidak boleh sama dengan open_time';
+  }
+
+  return null;
+};
+
+// Mendapatkan jam operasional mingguan dan tanggal tutup yang akan datang
+exports.getBusinessHours = async (req, res) => {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+
+    const hours = await BusinessHour.findAll({
+      order: [['day_of_week', 'ASC'], ['open_time', 'ASC']]
+    });
+    const closures = await Closure.findAll({
+      where: { date: { [Op.gte]: today } },
+      order: [['date', 'ASC']]
+    });
+
+    res.status(200).json({ hours, closures });
+  } catch (error) {
+    console.error('Error fetching business hours:', error);
+    res.status(500).json({ message: 'Gagal mengambil data jam operasional' });
+  }
+};
+
+// Menambahkan periode layanan
+exports.createBusinessHour = async (req, res) => {
+  try {
+    const { day_of_week, name, open_time, close_time } = req.body;
+
+    const validationError = validateBusinessHour(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const businessHour = await BusinessHour.create({
+      day_of_week,
+      name: name || 'regular',
+      open_time,
+      close_time
+    });
+
+    res.status(201).json({
+      message: 'Jam operasional berhasil ditambahkan',
+      businessHour
+    });
+  } catch (error) {
+    console.error('Error creating business hour:', error);
+    res.status(500).json({ message: 'Gagal menambahkan jam operasional' });
+  }
+};
+
+// Mengupdate periode layanan
+exports.updateBusinessHour = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const businessHour = await BusinessHour.findByPk(id);
+    if (!businessHour) {
+      return res.status(404).json({ message: 'Jam operasional tidak ditemukan' });
+    }
+
+    const updatedFields = {
+      day_of_week: req.body.day_of_week !== undefined ? req.body.day_of_week : businessHour.day_of_week,
+      name: req.body.name || businessHour.name,
+      open_time: req.body.open_time || businessHour.open_time,
+      close_time: req.body.close_time || businessHour.close_time
+    };
+
+    const validationError = validateBusinessHour(updatedFields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await businessHour.update(updatedFields);
+
+    res.status(200).json({
+      message: 'Jam operasional berhasil diupdate',
+      businessHour
+    });
+  } catch (error) {
+    console.error('Error updating business hour:', error);
+    res.status(500).json({ message: 'Gagal mengupdate jam operasional' });
+  }
+};
+
+// Menghapus periode layanan
+exports.deleteBusinessHour = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const businessHour = await BusinessHour.findByPk(id);
+    if (!businessHour) {
+      return res.status(404).json({ message: 'Jam operasional tidak ditemukan' });
+    }
+
+    await businessHour.destroy();
+
+    res.status(200).json({ message: 'Jam operasional berhasil dihapus' });
+  } catch (error) {
+    console.error('Error deleting business hour:', error);
+    res.status(500).json({ message: 'Gagal menghapus jam operasional' });
+  }
+};
+
+// Menambahkan tanggal tutup / libur
+exports.createClosure = async (req, res) => {
+  try {
+    const { date, reason } = req.body;
+
+    if (!DATE_PATTERN.test(date || '')) {
+      return res.status(400).json({ message: 'date harus berformat YYYY-MM-DD' });
+    }
+
+    const existingClosure = await Closure.findOne({ where: { date } });
+    if (existingClosure) {
+      return res.status(400).json({ message: 'Tanggal tersebut sudah ditandai tutup' });
+    }
+
+    const closure = await Closure.create({ date, reason });
+
+    res.status(201).json({
+      message: 'Tanggal tutup berhasil ditambahkan',
+      closure
+    });
+  } catch (error) {
+    console.error('Error creating closure:', error);
+    res.status(500).json({ message: 'Gagal menambahkan tanggal tutup' });
+  }
+};
+
+// Menghapus tanggal tutup / libur
+exports.deleteClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const closure = await Closure.findByPk(id);
+    if (!closure) {
+      return res.status(404).json({ message: 'Tanggal tutup tidak ditemukan' });
+    }
+
+    await closure.destroy();
+
+    res.status(200).json({ message: 'Tanggal tutup berhasil dihapus' });
+  } catch (error) {
+    console.error('Error deleting closure:', error);
+    res.status(500).json({ message: 'Gagal menghapus tanggal tutup' });
+  }
+};
@@ -1,191 +1,934 @@
 const Reservation = require('../models/Reservation');
 const Table = require('../models/Table');
-const { Op, Sequelize } = require('sequelize');
-const now = new Date();
-const axios = require('axios');
-const currentTime = now.toTimeString().split(' ')[0]; // HH:MM:SS
+const User = require('../models/User');
+const TableCombination = require('../models/TableCombination');
+const ReservationTable = require('../models/ReservationTable');
+const ReservationHold = require('../models/ReservationHold');
+const ReservationSeries = require('../models/ReservationSeries');
+const Waitlist = require('../models/Waitlist');
+const Zone = require('../models/Zone');
+const { Op } = require('sequelize');
+const {
+  MINUTES_PER_DAY,
+  isValidDate,
+  timeToMinutes,
+  minutesToTime,
+  getCurrentDateTime,
+  toPositiveInteger
+} = require('../utils/reservationTime');
+const { activeAt, CHRONOLOGICAL_ORDER } = require('../utils/reservationQuery');
+const { INACTIVE_STATUSES, getAllowedTransitions, getActorRole, recordStatusChange, transitionReservation } = require('../utils/reservationLifecycle');
+const ReservationStatusHistory = require('../models/ReservationStatusHistory');
+const { getBusinessSchedule, isWithinSchedule, checkBusinessHours } = require('../utils/businessHours');
+const { generateOccurrenceDates, validateRecurrence } = require('../utils/recurrence');
+const { QUEUED_STATUSES, notifyNextWaitlistEntry } = require('../utils/waitlist');
+const {
+  checkReservationAvailability,
+  runBookingTransaction,
+  lockTables,
+  saveReservationTables,
+  describeSeating,
+  isUsableCombination,
+  findBestFitSeating,
+  refreshReservationTables,
+  refreshTablesById,
+  getBusyIntervalsByTable,
+  areTablesFree
+} = require('../utils/seating');
+const { markNoShowReservations, updateExpiredReservations, updateAllTableStatus } = require('../cronjobs/updateReservationStatus');
 
 /**
- * Fungsi untuk memeriksa ketersediaan jadwal reservasi
- * @param {number} table_id - ID meja yang akan direservasi
- * @param {string} reservation_date - Tanggal reservasi (format: YYYY-MM-DD)
- * @param {string} reservation_time - Waktu mulai reservasi (format: HH:MM:SS)
- * @param {number} duration - Durasi reservasi dalam menit
- * @param {number} reservation_id - ID reservasi (opsional, untuk kasus update)
- * @returns {Promise<{isAvailable: boolean, message: string}>} - Status ketersediaan dan pesan
+ * Validasi jumlah tamu dan durasi booking (reservasi, hold dan walk-in)
+ * @returns {{error: string|null, guestCount: number, durationMinutes: number}}
+ *   - Pesan error atau null jika valid, beserta jumlah tamu dan durasi dalam bentuk angka
  */
-const checkReservationAvailability = async (table_id, reservation_date, reservation_time, duration, reservation_id = null) => {
-  try {
-    // Validasi input
-    if (!table_id || !reservation_date || !reservation_time || !duration) {
-      return {
-        isAvailable: false,
-        message: 'Data reservasi tidak lengkap. table_id, reservation_date, reservation_time, dan duration harus diisi'
-      };
+const parseGuestsAndDuration = (guest_count, duration) => {
+  const guestCount = toPositiveInteger(guest_count);
+  if (!guestCount) {
+    return { error: 'guest_count harus diisi dengan bilangan bulat lebih dari 0' };
+  }
+
+  const durationMinutes = toPositiveInteger(duration);
+  if (!(durationMinutes && durationMinutes <= MINUTES_PER_DAY)) {
+    return { error: `duration harus diisi dengan bilangan bulat antara 1 dan ${MINUTES_PER_DAY} menit` };
+  }
+
+  return { error: null, guestCount, durationMinutes };
+};
+
+/**
+ * Menentukan meja yang dipakai: satu meja (table_id) atau kombinasi meja (combination_id).
+ * Semua meja yang terlibat ikut dikunci jika ada transaksi.
+ * @param {Object} selection - { table_id, combination_id }
+ * @param {Object} transaction - Transaksi Sequelize (opsional)
+ * @returns {Promise<{tables: Table[], capacity: number, combination: TableCombination|null}|null>}
+ *   - Susunan meja, atau null jika meja/kombinasi tidak ditemukan
+ */
+const lockSeating = async ({ table_id, combination_id }, transaction) => {
+  if (combination_id) {
+    const combination = await TableCombination.findByPk(combination_id, {
+      include: [{ model: Table, as: 'tables' }],
+      transaction
+    });
+    if (!combination || combination.tables.length === 0) {
+      return null;
     }
 
-    // Konversi ke tipe data yang sesuai jika perlu
-    const tableId = parseInt(table_id, 10);
-    const durationMinutes = parseInt(duration, 10);
-    
-    // Buat kondisi untuk mencari reservasi yang overlap
-    const whereCondition = {
-      table_id: tableId,
-      reservation_date: reservation_date,
-      status: {
-        [Op.notIn]: ['cancelled', 'completed']
+    // Kombinasi yang memuat meja yang sudah diarsipkan tidak bisa dipakai lagi
+    const tables = await lockTables(combination.tables.map((table) => table.id), transaction);
+    if (tables.some((table) => table.archived_at)) {
+      return null;
+    }
+
+    return {
+      tables,
+      capacity: combination.getSeatingCapacity(),
+      combination
+    };
+  }
+
+  const tables = await lockTables([table_id], transaction);
+  if (tables.length === 0 || tables[0].archived_at) {
+    return null;
+  }
+
+  return {
+    tables,
+    capacity: tables[0].capacity,
+    combination: null
+  };
+};
+
+/**
+ * Susunan meja yang sedang dipakai sebuah reservasi.
+ * Reservasi gabungan memakai daftar meja di ReservationTable, selain itu cukup table_id.
+ * @param {Reservation} reservation - Data reservasi
+ * @param {Object} transaction - Transaksi Sequelize (opsional)
+ * @returns {Promise<{tables: Table[], capacity: number, combination: TableCombination|null}>}
+ */
+const lockReservationSeating = async (reservation, transaction) => {
+  const links = await ReservationTable.findAll({
+    where: { reservation_id: reservation.id },
+    transaction
+  });
+  const tableIds = links.length > 0 ? links.map((link) => link.table_id) : [reservation.table_id];
+  const tables = await lockTables(tableIds, transaction);
+
+  const combination = reservation.combination_id
+    ? await TableCombination.findByPk(reservation.combination_id, { transaction })
+    : null;
+
+  return {
+    tables,
+    capacity: combination && combination.capacity
+      ? combination.capacity
+      : tables.reduce((total, table) => total + table.capacity, 0),
+    combination
+  };
+};
+
+/**
+ * Cek apakah semua meja yang dipilih berada di zona tertentu
+ */
+const isInZone = (seating, zone_id) => {
+  return seating.tables.every((table) => table.zone_id === parseInt(zone_id, 10));
+};
+
+// Batas jumlah no-show sebelum user tidak bisa membuat reservasi baru (0 = tidak dibatasi)
+const MAX_NO_SHOWS = parseInt(process.env.MAX_NO_SHOWS, 10) || 0;
+
+// Lama slot ditahan selama user mengisi form booking (dalam menit)
+const HOLD_MINUTES = parseInt(process.env.RESERVATION_HOLD_MINUTES, 10) || 5;
+
+// Cakupan update/pembatalan reservasi rutin: hanya kejadian ini, atau kejadian ini dan setelahnya
+const SERIES_SCOPES = ['this', 'following'];
+
+/**
+ * Cek batas no-show user sebelum membuat reservasi atau hold (admin tidak dibatasi)
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} - Body response 403, atau null jika boleh booking
+ */
+const checkNoShowLimit = async (user) => {
+  if (MAX_NO_SHOWS === 0 || user.role === 'admin') {
+    return null;
+  }
+
+  const { no_show_count } = await User.findByPk(user.id, { attributes: ['no_show_count'] });
+  if (no_show_count < MAX_NO_SHOWS) {
+    return null;
+  }
+
+  return {
+    message: `Reservasi tidak dapat dibuat karena sudah ${no_show_count} kali tidak datang. Silakan hubungi restoran`,
+    code: 'NO_SHOW_LIMIT'
+  };
+};
+
+// Interval default antar slot pada pencarian slot (dalam menit)
+const DEFAULT_SLOT_INTERVAL = parseInt(process.env.SLOT_INTERVAL_MINUTES, 10) || 15;
+
+// Jumlah maksimal meja lain yang ditawarkan sebagai alternatif
+const MAX_ALTERNATIVE_TABLES = 3;
+
+/**
+ * Meja tunggal dan kombinasi meja yang cukup untuk jumlah tamu,
+ * diurutkan dari kapasitas terkecil. Masa out_of_service tidak disaring di sini,
+ * tetapi dihitung sebagai waktu terpakai oleh getBusyIntervalsByTable
+ * @param {number} guests - Jumlah tamu
+ * @param {Object} options - { transaction }
+ * @returns {Promise<{tables: Table[], combinations: TableCombination[]}>}
+ */
+const getSeatingCandidates = async (guests, options = {}) => {
+  const tables = await Table.findAll({
+    where: { ...Table.fitsPartyCondition(guests), ...Table.bookableCondition(null) },
+    order: [['capacity', 'ASC'], ['id', 'ASC']],
+    transaction: options.transaction
+  });
+
+  const combinations = (await TableCombination.findAll({
+    include: [{ model: Table, as: 'tables', through: { attributes: [] } }],
+    transaction: options.transaction
+  }))
+    .filter((combination) => isUsableCombination(combination, null) && combination.getSeatingCapacity() >= guests)
+    .sort((a, b) => a.getSeatingCapacity() - b.getSeatingCapacity() || a.id - b.id);
+
+  return { tables, combinations };
+};
+
+/**
+ * Menyusun alternatif saat waktu yang diminta bertabrakan, diurutkan dari yang paling dekat:
+ * 1. Meja lain (atau kombinasi meja) yang cukup dan kosong pada waktu yang sama
+ * 2. Waktu mulai terdekat sebelum dan sesudah waktu yang diminta pada meja yang sama
+ * @param {Object} request - { tableIds, combination_id, guest_count, reservation_date, reservation_time, duration, reservation_id }
+ * @param {Object} options - { transaction, user_id, hold_token }
+ * @returns {Promise<Array<Object>>} - Daftar alternatif dengan rank
+ */
+const suggestAlternatives = async (request, options = {}) => {
+  const { reservation_date, reservation_time, reservation_id } = request;
+  const tableIds = [].concat(request.tableIds).map((id) => parseInt(id, 10));
+  const duration = parseInt(request.duration, 10);
+  const requestedStart = timeToMinutes(reservation_time);
+  const requestedEnd = requestedStart + duration;
+
+  const busyByTable = await getBusyIntervalsByTable(reservation_date, {
+    reservation_id,
+    user_id: options.user_id,
+    hold_token: options.hold_token,
+    transaction: options.transaction
+  });
+  const schedule = await getBusinessSchedule(reservation_date, options);
+
+  const requestedTables = await Table.findAll({
+    where: { id: { [Op.in]: tableIds } },
+    order: [['id', 'ASC']],
+    transaction: options.transaction
+  });
+
+  // Tanpa guest_count, gunakan kapasitas meja yang diminta sebagai acuan
+  const guests = parseInt(request.guest_count, 10) ||
+    requestedTables.reduce((total, table) => total + table.capacity, 0);
+
+  const alternatives = [];
+
+  // 1. Meja lain pada waktu yang sama
+  const { tables, combinations } = await getSeatingCandidates(guests, options);
+  const otherTables = tables
+    .filter((table) => !tableIds.includes(table.id))
+    .filter((table) => areTablesFree(busyByTable, [table.id], requestedStart, requestedEnd))
+    .slice(0, MAX_ALTERNATIVE_TABLES);
+
+  for (const table of otherTables) {
+    alternatives.push({
+      type: 'other_table',
+      reservation_time: minutesToTime(requestedStart),
+      minutes_from_requested: 0,
+      table_id: table.id,
+      tables: [{ id: table.id, table_number: table.table_number, capacity: table.capacity }]
+    });
+  }
+
+  // Kombinasi meja hanya ditawarkan jika tidak ada meja tunggal yang cukup
+  if (otherTables.length === 0) {
+    const otherCombinations = combinations
+      .filter((combination) => {
+        const combinationTableIds = combination.tables.map((table) => table.id);
+        return combination.id !== parseInt(request.combination_id, 10) &&
+          areTablesFree(busyByTable, combinationTableIds, requestedStart, requestedEnd);
+      })
+      .slice(0, MAX_ALTERNATIVE_TABLES);
+
+    for (const combination of otherCombinations) {
+      alternatives.push({
+        type: 'other_table',
+        reservation_time: minutesToTime(requestedStart),
+        minutes_from_requested: 0,
+        combination_id: combination.id,
+        tables: combination.tables.map((table) => ({
+          id: table.id,
+          table_number: table.table_number,
+          capacity: table.capacity
+        }))
+      });
+    }
+  }
+
+  // 2. Waktu terdekat pada meja yang sama (tetap di dalam jam operasional)
+  const now = getCurrentDateTime();
+  const earliestStart = reservation_date === now.date ? now.minutes : 0;
+  const sameTimeAlternatives = [];
+
+  for (let start = requestedStart - DEFAULT_SLOT_INTERVAL; start >= earliestStart; start -= DEFAULT_SLOT_INTERVAL) {
+    if (isWithinSchedule(schedule, start, start + duration) && areTablesFree(busyByTable, tableIds, start, start + duration)) {
+      sameTimeAlternatives.push({ type: 'earlier', start });
+      break;
+    }
+  }
+
+  // Waktu mulai tetap pada tanggal yang sama, tetapi boleh selesai setelah tengah malam
+  for (let start = requestedStart + DEFAULT_SLOT_INTERVAL; start < MINUTES_PER_DAY; start += DEFAULT_SLOT_INTERVAL) {
+    if (isWithinSchedule(schedule, start, start + duration) && areTablesFree(busyByTable, tableIds, start, start + duration)) {
+      sameTimeAlternatives.push({ type: 'later', start });
+      break;
+    }
+  }
+
+  sameTimeAlternatives
+    .sort((a, b) => Math.abs(a.start - requestedStart) - Math.abs(b.start - requestedStart))
+    .forEach((alternative) => {
+      alternatives.push({
+        type: alternative.type,
+        reservation_time: minutesToTime(alternative.start),
+        minutes_from_requested: alternative.start - requestedStart,
+        ...(request.combination_id ? { combination_id: parseInt(request.combination_id, 10) } : { table_id: tableIds[0] }),
+        tables: requestedTables.map((table) => ({
+          id: table.id,
+          table_number: table.table_number,
+          capacity: table.capacity
+        }))
+      });
+    });
+
+  return alternatives.map((alternative, index) => ({ rank: index + 1, ...alternative }));
+};
+
+/**
+ * Cek apakah hasil pengecekan ketersediaan gagal karena bentrok jadwal
+ * (dengan reservasi lain atau hold milik user lain)
+ */
+const isConflict = (availabilityCheck) => {
+  return Boolean(
+    availabilityCheck.conflictingReservation ||
+    availabilityCheck.conflictingBlock ||
+    availabilityCheck.conflictingHold ||
+    availabilityCheck.conflictingTable
+  );
+};
+
+/**
+ * Membentuk response untuk hasil pengecekan ketersediaan yang gagal
+ * Bentrok dengan reservasi, blokir meja, hold lain atau meja yang sedang tidak dapat dipakai
+ * dikembalikan sebagai 409 Conflict beserta alternatifnya
+ */
+const unavailableResult = (availabilityCheck, alternatives = []) => {
+  if (isConflict(availabilityCheck)) {
+    const conflict = ['conflictingReservation', 'conflictingBlock', 'conflictingHold', 'conflictingTable']
+      .find((key) => availabilityCheck[key]);
+
+    return {
+      status: 409,
+      body: {
+        message: availabilityCheck.message,
+        [conflict]: availabilityCheck[conflict],
+        ...(availabilityCheck.turnoverBuffer !== undefined ? { turnoverBuffer: availabilityCheck.turnoverBuffer } : {}),
+        alternatives
       }
     };
-    
-    // Jika ini adalah update, exclude reservasi yang sedang diupdate
-    if (reservation_id) {
-      whereCondition.id = {
-        [Op.ne]: reservation_id
+  }
+
+  return {
+    status: 400,
+    body: {
+      message: availabilityCheck.message,
+      ...(availabilityCheck.code ? { code: availabilityCheck.code } : {})
+    }
+  };
+};
+
+/**
+ * Menentukan dan mengunci meja untuk booking baru (reservasi maupun hold),
+ * lalu memastikan meja tersebut cukup dan kosong pada waktu yang diminta.
+ * Harus dipanggil di dalam runBookingTransaction.
+ * @param {Object} request - { table_id, combination_id, reservation_date, reservation_time, duration, guest_count, zone_id }
+ * @param {Object} options - { transaction, user_id, hold_token }
+ * @returns {Promise<{seating?: Object, error?: {status: number, body: Object}}>}
+ */
+const reserveSeating = async (request, options) => {
+  const { table_id, combination_id, reservation_date, reservation_time, duration, guest_count, zone_id } = request;
+  const { transaction } = options;
+  let seating;
+
+  if (!table_id && !combination_id) {
+    // Pilih meja (atau kombinasi meja) terkecil yang cukup dan masih kosong
+    seating = await findBestFitSeating(guest_count, reservation_date, reservation_time, duration, { ...options, zone_id });
+    if (!seating) {
+      return {
+        error: {
+          status: 409,
+          body: { message: `Tidak ada meja yang tersedia untuk ${guest_count} orang pada waktu tersebut` }
+        }
       };
     }
+  } else {
+    // Cek keberadaan meja/kombinasi sekaligus mengunci barisnya
+    seating = await lockSeating({ table_id, combination_id }, transaction);
+    if (!seating) {
+      const message = combination_id ? 'Kombinasi meja tidak ditemukan' : 'Meja tidak ditemukan';
+      return { error: { status: 404, body: { message } } };
+    }
+  }
 
-    // Cek apakah ada reservasi yang overlap untuk meja yang sama pada waktu tersebut
-    const overlappingReservation = await Reservation.findOne({
-      where: {
-        ...whereCondition,
-        [Op.or]: [
-          // Kasus 1: Reservasi yang sudah ada dimulai sebelum atau sama dengan waktu yang diminta
-          // dan berakhir setelah waktu mulai yang diminta
-          Sequelize.literal(`
-            reservation_time <= '${reservation_time}' AND 
-            ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${reservation_time}'
-          `),
-          
-          // Kasus 2: Reservasi yang sudah ada dimulai setelah waktu yang diminta
-          // tapi dimulai sebelum waktu yang diminta berakhir
-          Sequelize.literal(`
-            reservation_time > '${reservation_time}' AND 
-            reservation_time < ADDTIME('${reservation_time}', SEC_TO_TIME(${durationMinutes} * 60))
-          `)
-        ]
-      }
+  // Validasi kapasitas
+  if (guest_count > seating.capacity) {
+    return { error: { status: 400, body: { message: `Kapasitas meja hanya ${seating.capacity} orang` } } };
+  }
+
+  // Cek ketersediaan jadwal untuk semua meja yang dipakai
+  const tableIds = seating.tables.map((table) => table.id);
+  const availabilityCheck = await checkReservationAvailability(
+    tableIds,
+    reservation_date,
+    reservation_time,
+    duration,
+    null,
+    options
+  );
+
+  if (!availabilityCheck.isAvailable) {
+    const alternatives = isConflict(availabilityCheck)
+      ? await suggestAlternatives({
+        tableIds,
+        combination_id: seating.combination ? seating.combination.id : null,
+        guest_count,
+        reservation_date,
+        reservation_time,
+        duration
+      }, options)
+      : [];
+    return { error: unavailableResult(availabilityCheck, alternatives) };
+  }
+
+  return { seating };
+};
+
+/**
+ * Membuat reservasi rutin: setiap kejadian dicek dengan checkReservationAvailability.
+ * Jika ada kejadian yang bentrok, tidak ada yang dibuat (409 beserta daftar bentrok),
+ * kecuali recurrence.skip_conflicts bernilai true sehingga hanya kejadian yang bentrok dilewati.
+ * Dipanggil (dan di-await) dari createReservation, yang menangani error menjadi response 500.
+ */
+const createRecurringReservation = async (req, res) => {
+  const { table_id, combination_id, reservation_date, reservation_time, duration, guest_count, notes, recurrence, zone_id } = req.body;
+  const user_id = req.user.id;
+
+  if (!guest_count || !reservation_date || !reservation_time || !duration) {
+    return res.status(400).json({
+      message: 'Data reservasi tidak lengkap. guest_count, reservation_date, reservation_time, dan duration harus diisi'
     });
-    
-    if (overlappingReservation) {
+  }
+
+  const { error: validationError, guestCount, durationMinutes } = parseGuestsAndDuration(guest_count, duration);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  if (!isValidDate(reservation_date)) {
+    return res.status(400).json({ message: 'Format reservation_date harus YYYY-MM-DD' });
+  }
+
+  const recurrenceError = validateRecurrence(recurrence, reservation_date);
+  if (recurrenceError) {
+    return res.status(400).json({ message: recurrenceError });
+  }
+
+  const dates = generateOccurrenceDates(reservation_date, recurrence);
+
+  const result = await runBookingTransaction(async (transaction) => {
+    const planned = [];
+    const conflicts = [];
+
+    for (const date of dates) {
+      const { seating, error } = await reserveSeating(
+        {
+          table_id,
+          combination_id,
+          reservation_date: date,
+          reservation_time,
+          duration: durationMinutes,
+          guest_count: guestCount,
+          zone_id
+        },
+        { transaction, user_id }
+      );
+
+      if (error) {
+        conflicts.push({ reservation_date: date, status: error.status, ...error.body });
+      } else {
+        planned.push({ date, seating });
+      }
+    }
+
+    if (planned.length === 0 || (conflicts.length > 0 && !recurrence.skip_conflicts)) {
       return {
-        isAvailable: false,
-        message: 'Waktu reservasi bertabrakan dengan reservasi lain',
-        conflictingReservation: overlappingReservation
+        status: 409,
+        body: {
+          message: `${conflicts.length} dari ${dates.length} jadwal reservasi rutin tidak tersedia`,
+          occurrences: dates.length,
+          conflicts
+        }
       };
     }
-    
-    return {
-      isAvailable: true,
-      message: 'Waktu reservasi tersedia'
-    };
-    
-  } catch (error) {
-    console.error('Error checking reservation availability:', error);
+
+    const series = await ReservationSeries.create({
+      user_id,
+      frequency: recurrence.frequency,
+      interval: parseInt(recurrence.interval, 10) || 1,
+      until: recurrence.until || null,
+      count: recurrence.count ? parseInt(recurrence.count, 10) : null
+    }, { transaction });
+
+    const reservations = [];
+    for (const { date, seating } of planned) {
+      const reservation = await Reservation.create({
+        user_id,
+        series_id: series.id,
+        table_id: seating.tables[0].id,
+        combination_id: seating.combination ? seating.combination.id : null,
+        preferred_zone_id: zone_id || null,
+        reservation_date: date,
+        reservation_time,
+        duration: durationMinutes,
+        guest_count: guestCount,
+        notes,
+        status: 'pending'
+      }, { transaction });
+
+      await saveReservationTables(reservation, seating, transaction);
+      await recordStatusChange(reservation, null, { user: req.user, transaction });
+      reservations.push(reservation);
+    }
+
     return {
-      isAvailable: false,
-      message: `Gagal memeriksa ketersediaan waktu: ${error.message || 'Unknown error'}`
+      status: 201,
+      body: {
+        message: `${reservations.length} dari ${dates.length} reservasi rutin berhasil dibuat`,
+        series,
+        reservations,
+        conflicts
+      }
     };
-  }
+  });
+
+  res.status(result.status).json(result.body);
 };
 
 // Membuat reservasi baru
 exports.createReservation = async (req, res) => {
   try {
-    const { table_id, reservation_date, reservation_time, duration, guest_count, notes } = req.body;
-    
-    // Debug: Log semua headers yang diterima
-    console.log('All headers:', req.headers);
-    console.log('Authorization header:', req.headers.authorization);
+    const { hold_token, notes, recurrence, zone_id } = req.body;
     
-    // Ambil token dari Authorization header
-    const authHeader = req.headers.authorization;
-    let token;
+    const user_id = req.user.id;
 
-    if (!authHeader) {
-      return res.status(401).json({ message: 'Authorization header tidak ditemukan' });
+    // Zona pilihan tamu hanya preferensi; jika penuh, meja di zona lain tetap dipilih
+    if (zone_id && !(await Zone.findByPk(zone_id))) {
+      return res.status(404).json({ message: 'Zona tidak ditemukan' });
+    }
+
+    // User yang terlalu sering tidak datang tidak bisa membuat reservasi sendiri
+    const noShowLimit = await checkNoShowLimit(req.user);
+    if (noShowLimit) {
+      return res.status(403).json(noShowLimit);
+    }
+
+    // Reservasi rutin membuat satu reservasi untuk setiap kejadian
+    if (recurrence) {
+      if (hold_token) {
+        return res.status(400).json({ message: 'hold_token tidak dapat dipakai untuk reservasi rutin' });
+      }
+      return await createRecurringReservation(req, res);
+    }
+
+    // Hold dari POST /api/reservations/holds menentukan meja dan waktu reservasi
+    let hold = null;
+    if (hold_token) {
+      hold = await ReservationHold.findOne({ where: { token: hold_token, user_id } });
+      if (!hold) {
+        return res.status(404).json({ message: 'Hold tidak ditemukan', code: 'HOLD_NOT_FOUND' });
+      }
+      if (hold.expires_at <= new Date()) {
+        return res.status(410).json({ message: 'Hold sudah kedaluwarsa, silakan pilih slot kembali', code: 'HOLD_EXPIRED' });
+      }
     }
 
-    // Cek apakah format Bearer token atau langsung token
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.split(' ')[1];
-    } else {
-      // Jika tidak ada 'Bearer ', anggap header langsung berisi token
-      token = authHeader;
+    const { table_id, combination_id, reservation_date, reservation_time, duration } = hold
+      ? {
+        table_id: hold.table_id,
+        combination_id: hold.combination_id,
+        reservation_date: hold.reservation_date,
+        reservation_time: hold.reservation_time,
+        duration: hold.duration
+      }
+      : req.body;
+    const guest_count = req.body.guest_count || (hold ? hold.guest_count : undefined);
+
+    // Tanpa table_id maupun combination_id, meja akan dipilih otomatis berdasarkan jumlah tamu
+    const autoAssign = !table_id && !combination_id;
+    if (autoAssign && (!guest_count || !reservation_date || !reservation_time || !duration)) {
+      return res.status(400).json({
+        message: 'Data reservasi tidak lengkap. guest_count, reservation_date, reservation_time, dan duration harus diisi jika table_id tidak dipilih'
+      });
     }
 
-    if (!token) {
-      return res.status(401).json({ message: 'Token tidak ditemukan dalam Authorization header' });
+    // Angka boleh dikirim sebagai string ("60"), tetapi disimpan sebagai bilangan bulat
+    const { error: validationError, guestCount, durationMinutes } = parseGuestsAndDuration(guest_count, duration);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
 
-    console.log('Extracted token:', token);
+    if (autoAssign) {
+      // Cek jam operasional lebih dulu agar pesan error tidak tertukar dengan "meja penuh"
+      const businessHours = await checkBusinessHours(reservation_date, reservation_time, durationMinutes);
+      if (!businessHours.isOpen) {
+        return res.status(400).json({ message: businessHours.message, code: businessHours.code });
+      }
+    }
 
-    // Request ke Auth Service lewat API Gateway
-    // Pastikan format Authorization header sesuai dengan yang diharapkan Auth Service
-    const authResponse = await axios.get('http://localhost:3000/auth/getUser', {
-      headers: {
-        Authorization: authHeader // Kirim header authorization yang sama
+    const result = await runBookingTransaction(async (transaction) => {
+      const { seating, error } = await reserveSeating(
+        {
+          table_id,
+          combination_id,
+          reservation_date,
+          reservation_time,
+          duration: durationMinutes,
+          guest_count: guestCount,
+          zone_id
+        },
+        { transaction, user_id, hold_token }
+      );
+      if (error) {
+        return error;
+      }
+        
+      // Buat reservasi (table_id berisi meja utama)
+      const reservation = await Reservation.create({
+        user_id,
+        table_id: seating.tables[0].id,
+        combination_id: seating.combination ? seating.combination.id : null,
+        preferred_zone_id: zone_id || null,
+        reservation_date,
+        reservation_time,
+        duration: durationMinutes,
+        guest_count: guestCount,
+        notes,
+        status: 'pending'
+      }, { transaction });
+
+      await saveReservationTables(reservation, seating, transaction);
+      await recordStatusChange(reservation, null, { user: req.user, transaction });
+
+      // Hold sudah menjadi reservasi
+      if (hold) {
+        await hold.destroy({ transaction });
       }
+      
+      return {
+        status: 201,
+        body: {
+          message: 'Reservasi berhasil dibuat',
+          reservation,
+          autoAssigned: autoAssign,
+          ...(zone_id ? { zoneMatched: isInZone(seating, zone_id) } : {}),
+          ...describeSeating(seating)
+        }
+      };
     });
+    
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error creating reservation:', error.message);
+    res.status(500).json({ 
+      message: 'Gagal membuat reservasi', 
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+// Menahan slot sementara selama user mengisi form booking
+exports.createHold = async (req, res) => {
+  try {
+    const { table_id, combination_id, reservation_date, reservation_time, duration, guest_count, zone_id } = req.body;
+
+    const user_id = req.user.id;
 
-    const user = authResponse.data.user;
-    if (!user) {
-      return res.status(401).json({ message: 'User tidak valid' });
+    if (zone_id && !(await Zone.findByPk(zone_id))) {
+      return res.status(404).json({ message: 'Zona tidak ditemukan' });
     }
 
-    const user_id = user.id;
+    if (!guest_count || !reservation_date || !reservation_time || !duration) {
+      return res.status(400).json({
+        message: 'Data hold tidak lengkap. guest_count, reservation_date, reservation_time, dan duration harus diisi'
+      });
+    }
 
-    // Cek keberadaan meja
-    const table = await Table.findByPk(table_id);
-    if (!table) {
-      return res.status(404).json({ message: 'Meja tidak ditemukan' });
+    const { error: validationError, guestCount, durationMinutes } = parseGuestsAndDuration(guest_count, duration);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
-    
-    // Validasi kapasitas
-    if (guest_count > table.capacity) {
-      return res.status(400).json({ message: `Kapasitas meja hanya ${table.capacity} orang` });
+
+    const noShowLimit = await checkNoShowLimit(req.user);
+    if (noShowLimit) {
+      return res.status(403).json(noShowLimit);
     }
-    
-    // Cek ketersediaan jadwal reservasi
-    const availabilityCheck = await checkReservationAvailability(
-      table_id, 
-      reservation_date, 
-      reservation_time, 
-      duration
-    );
-    
-    if (!availabilityCheck.isAvailable) {
-      return res.status(400).json({ message: availabilityCheck.message });
+
+    // Cek jam operasional lebih dulu agar pesan error tidak tertukar dengan "meja penuh"
+    const businessHours = await checkBusinessHours(reservation_date, reservation_time, durationMinutes);
+    if (!businessHours.isOpen) {
+      return res.status(400).json({ message: businessHours.message, code: businessHours.code });
     }
-      
-    // Buat reservasi
-    const reservation = await Reservation.create({
-      user_id,
-      table_id,
-      reservation_date,
-      reservation_time,
-      duration,
-      guest_count,
-      notes,
-      status: 'pending'
+
+    const result = await runBookingTransaction(async (transaction) => {
+      const { seating, error } = await reserveSeating(
+        {
+          table_id,
+          combination_id,
+          reservation_date,
+          reservation_time,
+          duration: durationMinutes,
+          guest_count: guestCount,
+          zone_id
+        },
+        { transaction, user_id }
+      );
+      if (error) {
+        return error;
+      }
+
+      // Satu user hanya memiliki satu hold; hold sebelumnya dilepas
+      await ReservationHold.destroy({ where: { user_id }, transaction });
+
+      const hold = await ReservationHold.create({
+        user_id,
+        table_id: seating.tables[0].id,
+        combination_id: seating.combination ? seating.combination.id : null,
+        reservation_date,
+        reservation_time,
+        duration: durationMinutes,
+        guest_count: guestCount,
+        expires_at: new Date(Date.now() + HOLD_MINUTES * 60000)
+      }, { transaction });
+
+      return {
+        status: 201,
+        body: {
+          message: `Slot berhasil ditahan selama ${HOLD_MINUTES} menit`,
+          hold: {
+            token: hold.token,
+            expires_at: hold.expires_at,
+            reservation_date: hold.reservation_date,
+            reservation_time: hold.reservation_time,
+            duration: hold.duration,
+            guest_count: hold.guest_count
+          },
+          ...describeSeating(seating)
+        }
+      };
     });
-    
-    res.status(201).json({
-      message: 'Reservasi berhasil dibuat',
-      reservation
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error creating reservation hold:', error.message);
+    res.status(500).json({
+      message: 'Gagal menahan slot reservasi',
+      error: error.message || 'Unknown error'
     });
+  }
+};
+
+// Melepas hold sebelum waktunya habis (misalnya user membatalkan form booking)
+exports.releaseHold = async (req, res) => {
+  try {
+    const deleted = await ReservationHold.destroy({
+      where: { token: req.params.token, user_id: req.user.id }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Hold tidak ditemukan', code: 'HOLD_NOT_FOUND' });
+    }
+
+    res.status(200).json({ message: 'Hold berhasil dilepas' });
   } catch (error) {
-    console.error('Error creating reservation:', error.response?.data || error.message);
-    
-    // Jika error dari Auth Service, kirim response yang lebih detail
-    if (error.response) {
-      return res.status(error.response.status).json({
-        message: 'Gagal memverifikasi user',
-        error: error.response.data
+    console.error('Error releasing reservation hold:', error.message);
+    res.status(500).json({
+      message: 'Gagal melepas hold',
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+// Mencari meja yang kosong sekarang untuk tamu walk-in (untuk admin)
+exports.getWalkInTables = async (req, res) => {
+  try {
+    const { guests, duration } = req.query;
+
+    const { error, guestCount, durationMinutes } = parseGuestsAndDuration(guests, duration);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const now = getCurrentDateTime();
+
+    // Di luar jam operasional tidak ada meja untuk walk-in, sertakan alasannya seperti getAvailableSlots
+    const businessHours = await checkBusinessHours(now.date, now.time, durationMinutes);
+    if (!businessHours.isOpen) {
+      return res.status(200).json({
+        date: now.date,
+        time: now.time,
+        duration: durationMinutes,
+        guests: guestCount,
+        code: businessHours.code,
+        message: businessHours.message,
+        tables: [],
+        combinations: []
       });
     }
-    
-    res.status(500).json({ 
-      message: 'Gagal membuat reservasi', 
+
+    const { tables, combinations } = await getSeatingCandidates(guestCount);
+
+    // Meja harus kosong dari sekarang sampai perkiraan tamu selesai,
+    // sehingga tidak bentrok dengan reservasi berikutnya
+    const isFree = async (tableIds) => {
+      const availabilityCheck = await checkReservationAvailability(tableIds, now.date, now.time, durationMinutes);
+      return availabilityCheck.isAvailable;
+    };
+
+    const freeTables = [];
+    for (const table of tables) {
+      if (await isFree([table.id])) {
+        freeTables.push({ id: table.id, table_number: table.table_number, capacity: table.capacity });
+      }
+    }
+
+    const freeCombinations = [];
+    for (const combination of combinations) {
+      if (await isFree(combination.tables.map((table) => table.id))) {
+        freeCombinations.push({
+          id: combination.id,
+          name: combination.name,
+          capacity: combination.getSeatingCapacity(),
+          tables: combination.tables.map((table) => ({ id: table.id, table_number: table.table_number, capacity: table.capacity }))
+        });
+      }
+    }
+
+    res.status(200).json({
+      date: now.date,
+      time: now.time,
+      duration: durationMinutes,
+      guests: guestCount,
+      tables: freeTables,
+      combinations: freeCombinations
+    });
+  } catch (error) {
+    console.error('Error finding walk-in tables:', error.message);
+    res.status(500).json({
+      message: 'Gagal mencari meja untuk walk-in',
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+// Mencatat tamu walk-in sebagai reservasi seated tanpa user (untuk admin)
+exports.createWalkIn = async (req, res) => {
+  try {
+    const { table_id, combination_id, duration, waitlist_id } = req.body;
+    let { guest_count, notes } = req.body;
+
+    // Rombongan dari antrean: jumlah tamu dan nama diambil dari antrean jika tidak diisi
+    let waitlistEntry = null;
+    if (waitlist_id) {
+      waitlistEntry = await Waitlist.findByPk(waitlist_id);
+      if (!waitlistEntry) {
+        return res.status(404).json({ message: 'Antrean tidak ditemukan' });
+      }
+      if (!QUEUED_STATUSES.includes(waitlistEntry.status)) {
+        return res.status(400).json({ message: `Antrean sudah ${waitlistEntry.status}` });
+      }
+      guest_count = guest_count || waitlistEntry.party_size;
+      notes = notes !== undefined ? notes : waitlistEntry.name;
+    }
+
+    const { error: validationError, guestCount, durationMinutes } = parseGuestsAndDuration(guest_count, duration);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const now = getCurrentDateTime();
+
+    // Walk-in juga harus dalam jam operasional, sama seperti reservasi dan hold
+    const businessHours = await checkBusinessHours(now.date, now.time, durationMinutes);
+    if (!businessHours.isOpen) {
+      return res.status(400).json({ message: businessHours.message, code: businessHours.code });
+    }
+
+    const result = await runBookingTransaction(async (transaction) => {
+      // Tanpa table_id/combination_id, meja terkecil yang cukup dan kosong dipilih otomatis
+      const { seating, error } = await reserveSeating(
+        { table_id, combination_id, reservation_date: now.date, reservation_time: now.time, duration: durationMinutes, guest_count: guestCount },
+        { transaction }
+      );
+      if (error) {
+        return error;
+      }
+
+      const reservation = await Reservation.create({
+        user_id: null,
+        table_id: seating.tables[0].id,
+        combination_id: seating.combination ? seating.combination.id : null,
+        reservation_date: now.date,
+        reservation_time: now.time,
+        duration: durationMinutes,
+        guest_count: guestCount,
+        notes,
+        status: 'seated'
+      }, { transaction });
+
+      await saveReservationTables(reservation, seating, transaction);
+      await recordStatusChange(reservation, null, { user: req.user, reason: 'Walk-in', transaction });
+
+      if (waitlistEntry) {
+        await waitlistEntry.update({ status: 'seated', reservation_id: reservation.id }, { transaction });
+      }
+
+      // Meja langsung terisi sampai reservasi walk-in selesai
+      const tableStatuses = await refreshReservationTables(reservation, { transaction });
+
+      return {
+        status: 201,
+        body: {
+          message: 'Tamu walk-in berhasil dicatat',
+          reservation,
+          waitlistEntry,
+          tableStatuses,
+          ...describeSeating(seating)
+        }
+      };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error creating walk-in:', error.message);
+    res.status(500).json({
+      message: 'Gagal mencatat tamu walk-in',
       error: error.message || 'Unknown error'
     });
   }
@@ -196,7 +939,9 @@ exports.getAllReservations = async (req, res) => {
   try {
     const reservations = await Reservation.findAll({
       include: [
-        { model: Table, attributes: ['id', 'table_number', 'capacity'] }
+        { model: User, attributes: ['id', 'name', 'email', 'phone', 'no_show_count'] },
+        { model: Table, attributes: ['id', 'table_number', 'capacity'] },
+        { model: Table, as: 'tables', attributes: ['id', 'table_number', 'capacity'], through: { attributes: [] } }
       ],
       order: [['reservation_date', 'ASC'], ['reservation_time', 'ASC']]
     });
@@ -214,229 +959,593 @@ exports.getAllReservations = async (req, res) => {
 // Mendapatkan reservasi berdasarkan ID
 exports.getReservationById = async (req, res) => {
   try {
-    console.log('=== RESERVATION SERVICE DEBUG ===');
-    console.log('All headers:', req.headers);
-    console.log('x-user-id header:', req.headers['x-user-id']);
-
-    const user_id = req.headers['x-user-id'];
+    const user = req.user;
     const reservationId = req.params.id;
 
-    if (!user_id) {
-      return res.status(401).json({ message: 'User ID tidak ditemukan dalam header' });
+    const whereCondition = { id: reservationId };
+
+    // Selain admin, pastikan reservasi milik user yang sama
+    if (user.role !== 'admin') {
+      whereCondition.user_id = user.id;
     }
 
     // Cari reservasi berdasarkan ID
     const reservation = await Reservation.findOne({
-      where: {
-        id: reservationId,
-        user_id: user_id // Pastikan reservasi milik user yang sama
-      },
+      where: whereCondition,
       include: [
-        { model: Table, attributes: ['id', 'table_number', 'capacity'] }
+        { model: Table, attributes: ['id', 'table_number', 'capacity'] },
+        { model: Table, as: 'tables', attributes: ['id', 'table_number', 'capacity'], through: { attributes: [] } }
       ]
     });
 
-    if (!reservation) {
-      return res.status(404).json({ message: 'Reservasi tidak ditemukan atau tidak dimiliki oleh user ini' });
-    }
+    if (!reservation) {
+      return res.status(404).json({ message: 'Reservasi tidak ditemukan atau tidak dimiliki oleh user ini' });
+    }
+
+    res.status(200).json({
+      message: 'Data reservasi berhasil diambil',
+      reservation
+    });
+
+  } catch (error) {
+    console.error('Error fetching reservation by ID:', error.message);
+    res.status(500).json({ 
+      message: 'Gagal mengambil data reservasi', 
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+
+
+// Mendapatkan reservasi berdasarkan user
+exports.getUserReservations = async (req, res) => {
+  try {
+    const user_id = req.user.id;
+
+    const reservations = await Reservation.findAll({
+      where: { user_id },
+      include: [
+        { model: Table, attributes: ['id', 'table_number', 'capacity'] },
+        { model: Table, as: 'tables', attributes: ['id', 'table_number', 'capacity'], through: { attributes: [] } }
+      ],
+      order: [['reservation_date', 'ASC'], ['reservation_time', 'ASC']]
+    });
+
+    res.status(200).json({
+      message: 'Data reservasi berhasil diambil',
+      reservations
+    });
+
+  } catch (error) {
+    console.error('Error fetching user reservations:', error.message);
+    res.status(500).json({ 
+      message: 'Gagal mengambil data reservasi pengguna', 
+      error: error.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * Memvalidasi perubahan sebuah reservasi (meja, kapasitas, ketersediaan) tanpa menyimpannya
+ * @param {Reservation} reservation - Reservasi yang sudah dikunci
+ * @param {Object} changes - Field dari body request
+ * @param {Object} user - req.user
+ * @param {Transaction} transaction - Transaksi aktif
+ * @returns {Promise<{error?: {status: number, body: Object}, seating?: Object, seatingChanged?: boolean, updatedFields?: Object}>}
+ */
+const prepareReservationUpdate = async (reservation, changes, user, transaction) => {
+  const { table_id, combination_id, reservation_date, reservation_time, duration, guest_count, notes } = changes;
+
+  // Validasi status reservasi
+  if (INACTIVE_STATUSES.includes(reservation.status)) {
+    return { error: { status: 400, body: { message: `Reservasi sudah ${reservation.status}, tidak dapat diupdate` } } };
+  }
+
+  // guest_count dan duration yang dikirim harus bilangan bulat, yang tidak dikirim memakai nilai lama
+  const { error: validationError, guestCount: newGuestCount, durationMinutes: newDuration } = parseGuestsAndDuration(
+    guest_count || reservation.guest_count,
+    duration || reservation.duration
+  );
+  if (validationError) {
+    return { error: { status: 400, body: { message: validationError } } };
+  }
+
+  // Kunci meja tujuan (meja/kombinasi baru jika ada perubahan, atau susunan meja lama)
+  const seatingChanged = Boolean(combination_id) || Boolean(table_id && table_id !== reservation.table_id);
+  const seating = seatingChanged
+    ? await lockSeating({ table_id, combination_id }, transaction)
+    : await lockReservationSeating(reservation, transaction);
+  if (!seating) {
+    const message = combination_id ? 'Kombinasi meja tidak ditemukan' : 'Meja tidak ditemukan';
+    return { error: { status: 404, body: { message } } };
+  }
+
+  // Validasi kapasitas meja
+  if (newGuestCount > seating.capacity) {
+    return { error: { status: 400, body: { message: `Kapasitas meja hanya ${seating.capacity} orang` } } };
+  }
+
+  // Cek ketersediaan jadwal reservasi jika ada perubahan waktu/tanggal/durasi/meja
+  if (
+    reservation_date ||
+    reservation_time ||
+    duration ||
+    seatingChanged
+  ) {
+    const availabilityCheck = await checkReservationAvailability(
+      seating.tables.map((table) => table.id),
+      reservation_date || reservation.reservation_date,
+      reservation_time || reservation.reservation_time,
+      newDuration,
+      reservation.id, // exclude current reservation
+      { transaction, user_id: user.id }
+    );
+
+    if (!availabilityCheck.isAvailable) {
+      const alternatives = isConflict(availabilityCheck)
+        ? await suggestAlternatives({
+          tableIds: seating.tables.map((table) => table.id),
+          combination_id: seating.combination ? seating.combination.id : null,
+          guest_count: newGuestCount,
+          reservation_date: reservation_date || reservation.reservation_date,
+          reservation_time: reservation_time || reservation.reservation_time,
+          duration: newDuration,
+          reservation_id: reservation.id
+        }, { transaction, user_id: user.id })
+        : [];
+      return { error: unavailableResult(availabilityCheck, alternatives) };
+    }
+  }
+
+  const updatedFields = {};
+  if (seatingChanged) {
+    updatedFields.table_id = seating.tables[0].id;
+    updatedFields.combination_id = seating.combination ? seating.combination.id : null;
+  }
+  if (reservation_date) updatedFields.reservation_date = reservation_date;
+  if (reservation_time) updatedFields.reservation_time = reservation_time;
+  if (duration) updatedFields.duration = newDuration;
+  if (guest_count) updatedFields.guest_count = newGuestCount;
+  if (notes !== undefined) updatedFields.notes = notes;
+
+  return { seating, seatingChanged, updatedFields };
+};
+
+/**
+ * Menyimpan perubahan hasil prepareReservationUpdate
+ * @param {Reservation} reservation - Reservasi yang diupdate
+ * @param {Object} prepared - Hasil prepareReservationUpdate
+ * @param {Transaction} transaction - Transaksi aktif
+ */
+const applyReservationUpdate = async (reservation, prepared, transaction) => {
+  await reservation.update(prepared.updatedFields, { transaction });
+
+  if (prepared.seatingChanged) {
+    await saveReservationTables(reservation, prepared.seating, transaction);
+  }
+};
+
+/**
+ * Mengambil kejadian reservasi rutin yang masih aktif mulai dari reservasi tertentu
+ * @param {Reservation} reservation - Kejadian pertama yang dipilih
+ * @param {Transaction} transaction - Transaksi aktif (baris dikunci)
+ * @returns {Promise<Reservation[]>} - Kejadian setelah reservasi tersebut, urut kronologis
+ */
+const findFollowingOccurrences = (reservation, transaction) => {
+  return Reservation.findAll({
+    where: {
+      series_id: reservation.series_id,
+      id: { [Op.ne]: reservation.id },
+      status: { [Op.notIn]: INACTIVE_STATUSES },
+      start_at: { [Op.gte]: reservation.start_at }
+    },
+    order: CHRONOLOGICAL_ORDER,
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+/**
+ * Membaca cakupan perubahan reservasi rutin dari body atau query
+ * @returns {string} - 'this' (hanya kejadian ini) atau 'following' (kejadian ini dan setelahnya)
+ */
+const getSeriesScope = (req) => {
+  return (req.body && req.body.scope) || req.query.scope || 'this';
+};
+
+// Mengupdate data reservasi
+exports.updateReservation = async (req, res) => {
+  try {
+    const user = req.user;
+
+    // Dapatkan ID reservasi dan data update
+    const { id } = req.params;
+    const scope = getSeriesScope(req);
+
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `scope tidak valid. Pilihan: ${SERIES_SCOPES.join(', ')}` });
+    }
+
+    const result = await runBookingTransaction(async (transaction) => {
+      // Cari reservasi dan kunci barisnya selama proses update
+      const reservation = await Reservation.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!reservation) {
+        return { status: 404, body: { message: 'Reservasi tidak ditemukan' } };
+      }
+
+      // Validasi user: hanya admin atau pemilik reservasi yang boleh update
+      if (user.id !== reservation.user_id && user.role !== 'admin') {
+        return { status: 403, body: { message: 'Tidak berhak mengupdate reservasi ini' } };
+      }
+
+      const followingSeries = scope === 'following' && reservation.series_id;
+      if (followingSeries && req.body.reservation_date) {
+        return { status: 400, body: { message: 'reservation_date tidak dapat diubah untuk kejadian berikutnya dalam satu seri' } };
+      }
+
+      const prepared = await prepareReservationUpdate(reservation, req.body, user, transaction);
+      if (prepared.error) {
+        return prepared.error;
+      }
+
+      // Semua kejadian berikutnya divalidasi dulu; jika ada yang bentrok tidak ada yang diubah
+      const updates = [{ reservation, prepared }];
+      if (followingSeries) {
+        const conflicts = [];
+        for (const occurrence of await findFollowingOccurrences(reservation, transaction)) {
+          const occurrencePrepared = await prepareReservationUpdate(occurrence, req.body, user, transaction);
+          if (occurrencePrepared.error) {
+            conflicts.push({
+              reservation_id: occurrence.id,
+              reservation_date: occurrence.reservation_date,
+              status: occurrencePrepared.error.status,
+              ...occurrencePrepared.error.body
+            });
+          } else {
+            updates.push({ reservation: occurrence, prepared: occurrencePrepared });
+          }
+        }
+
+        if (conflicts.length > 0) {
+          return {
+            status: 409,
+            body: {
+              message: `${conflicts.length} kejadian berikutnya tidak dapat diupdate`,
+              conflicts
+            }
+          };
+        }
+      }
+
+      for (const update of updates) {
+        await applyReservationUpdate(update.reservation, update.prepared, transaction);
+      }
 
-    res.status(200).json({
-      message: 'Data reservasi berhasil diambil',
-      reservation
+      // Ambil data reservasi yang sudah diupdate
+      const updatedReservation = await Reservation.findByPk(id, {
+        include: [
+          { model: Table, attributes: ['id', 'table_number', 'capacity'] },
+          { model: Table, as: 'tables', attributes: ['id', 'table_number', 'capacity'], through: { attributes: [] } }
+        ],
+        transaction
+      });
+
+      const body = {
+        message: 'Reservasi berhasil diupdate',
+        reservation: updatedReservation
+      };
+      if (followingSeries) {
+        body.updated = updates.map((update) => update.reservation.id);
+      }
+
+      return { status: 200, body };
     });
 
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error('Error fetching reservation by ID:', error.message);
-    res.status(500).json({ 
-      message: 'Gagal mengambil data reservasi', 
+    console.error('Error updating reservation:', error.message);
+
+    res.status(500).json({
+      message: 'Gagal mengupdate reservasi',
       error: error.message || 'Unknown error'
     });
   }
 };
 
+/**
+ * Cek apakah reservasi bisa dipindahkan ke susunan meja lain (kapasitas dan jadwal)
+ * @param {Reservation} reservation - Reservasi yang sudah dikunci
+ * @param {Object} seating - Susunan meja tujuan
+ * @param {Object} options - { transaction, user_id, reservation_ids (dikecualikan dari cek bentrok), alternatives }
+ * @returns {Promise<{status: number, body: Object}|null>} - Error, atau null jika bisa dipindahkan
+ */
+const checkSeatingChange = async (reservation, seating, options = {}) => {
+  if (INACTIVE_STATUSES.includes(reservation.status)) {
+    return { status: 400, body: { message: `Reservasi #${reservation.id} sudah ${reservation.status}, tidak dapat dipindahkan` } };
+  }
 
+  if (reservation.guest_count > seating.capacity) {
+    return {
+      status: 400,
+      body: { message: `Kapasitas meja hanya ${seating.capacity} orang, reservasi #${reservation.id} untuk ${reservation.guest_count} orang` }
+    };
+  }
 
-// Mendapatkan reservasi berdasarkan user
-exports.getUserReservations = async (req, res) => {
-  try {
-    console.log('=== RESERVATION SERVICE DEBUG ===');
-    console.log('All headers:', req.headers);
-    console.log('x-user-id header:', req.headers['x-user-id']);
-
-    const user_id = req.headers['x-user-id'];
-
-    if (!user_id) {
-      return res.status(401).json({ message: 'User ID tidak ditemukan dalam header' });
-    }
+  const tableIds = seating.tables.map((table) => table.id);
+  const availabilityCheck = await checkReservationAvailability(
+    tableIds,
+    reservation.reservation_date,
+    reservation.reservation_time,
+    reservation.duration,
+    options.reservation_ids || reservation.id,
+    { transaction: options.transaction, user_id: options.user_id }
+  );
+  if (availabilityCheck.isAvailable) {
+    return null;
+  }
 
-    const reservations = await Reservation.findAll({
-      where: { user_id },
-      include: [
-        { model: Table, attributes: ['id', 'table_number', 'capacity'] }
-      ],
-      order: [['reservation_date', 'ASC'], ['reservation_time', 'ASC']]
-    });
+  const alternatives = options.alternatives && isConflict(availabilityCheck)
+    ? await suggestAlternatives({
+      tableIds,
+      combination_id: seating.combination ? seating.combination.id : null,
+      guest_count: reservation.guest_count,
+      reservation_date: reservation.reservation_date,
+      reservation_time: reservation.reservation_time,
+      duration: reservation.duration,
+      reservation_id: reservation.id
+    }, { transaction: options.transaction, user_id: options.user_id })
+    : [];
+  return unavailableResult(availabilityCheck, alternatives);
+};
 
-    res.status(200).json({
-      message: 'Data reservasi berhasil diambil',
-      reservations
-    });
+/**
+ * Memindahkan reservasi ke susunan meja lain tanpa mengubah jadwalnya
+ * @param {Reservation} reservation - Reservasi yang dipindahkan
+ * @param {Object} seating - Susunan meja tujuan
+ * @param {Transaction} transaction - Transaksi aktif
+ */
+const applySeatingChange = async (reservation, seating, transaction) => {
+  await reservation.update({
+    table_id: seating.tables[0].id,
+    combination_id: seating.combination ? seating.combination.id : null
+  }, { transaction });
+  await saveReservationTables(reservation, seating, transaction);
+};
 
-  } catch (error) {
-    console.error('Error fetching user reservations:', error.message);
-    res.status(500).json({ 
-      message: 'Gagal mengambil data reservasi pengguna', 
-      error: error.message || 'Unknown error'
-    });
-  }
+/**
+ * Data reservasi beserta meja yang dipakainya untuk dikirim ke client
+ */
+const findReservationWithTables = (id, transaction) => {
+  return Reservation.findByPk(id, {
+    include: [
+      { model: Table, attributes: ['id', 'table_number', 'capacity'] },
+      { model: Table, as: 'tables', attributes: ['id', 'table_number', 'capacity'], through: { attributes: [] } }
+    ],
+    transaction
+  });
 };
 
-// Mengupdate data reservasi
-exports.updateReservation = async (req, res) => {
+// Memindahkan reservasi ke meja atau kombinasi meja lain pada jadwal yang sama (untuk admin)
+exports.moveReservation = async (req, res) => {
   try {
-    // Debug: Log headers dan Authorization
-    console.log('All headers:', req.headers);
-    console.log('Authorization header:', req.headers.authorization);
-    console.log('Request body:', req.body);
-
-    // Ambil token dari Authorization header
-    const authHeader = req.headers.authorization;
-    let token;
+    const { id } = req.params;
+    const { table_id, combination_id } = req.body;
 
-    if (!authHeader) {
-      return res.status(401).json({ message: 'Authorization header tidak ditemukan' });
+    if (!table_id && !combination_id) {
+      return res.status(400).json({ message: 'table_id atau combination_id harus diisi' });
     }
 
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.split(' ')[1];
-    } else {
-      token = authHeader;
-    }
+    const result = await runBookingTransaction(async (transaction) => {
+      const reservation = await Reservation.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!reservation) {
+        return { status: 404, body: { message: 'Reservasi tidak ditemukan' } };
+      }
 
-    if (!token) {
-      return res.status(401).json({ message: 'Token tidak ditemukan dalam Authorization header' });
-    }
+      const previousTableIds = await ReservationTable.findTableIds(reservation, { transaction });
+      const seating = await lockSeating({ table_id, combination_id }, transaction);
+      if (!seating) {
+        const message = combination_id ? 'Kombinasi meja tidak ditemukan' : 'Meja tidak ditemukan';
+        return { status: 404, body: { message } };
+      }
 
-    console.log('Extracted token:', token);
+      const targetTableIds = seating.tables.map((table) => table.id);
+      const sameCombination = seating.combination && seating.combination.id === reservation.combination_id;
+      const sameTable = !seating.combination && !reservation.combination_id && targetTableIds[0] === reservation.table_id;
+      if (sameCombination || sameTable) {
+        return { status: 400, body: { message: 'Reservasi sudah memakai meja tersebut' } };
+      }
 
-    // Request ke Auth Service untuk verifikasi user
-    const authResponse = await axios.get('http://localhost:3000/auth/getUser', {
-      headers: {
-        Authorization: authHeader
+      const seatingError = await checkSeatingChange(reservation, seating, {
+        transaction,
+        user_id: req.user.id,
+        alternatives: true
+      });
+      if (seatingError) {
+        return seatingError;
       }
-    });
 
-    const user = authResponse.data.user;
-    if (!user) {
-      return res.status(401).json({ message: 'User tidak valid' });
-    }
+      await applySeatingChange(reservation, seating, transaction);
 
-    // Dapatkan ID reservasi dan data update
-    const { id } = req.params;
-    const { table_id, reservation_date, reservation_time, duration, guest_count, notes } = req.body;
+      // Meja lama bisa kosong kembali, meja baru bisa menjadi reserved/occupied
+      const tableStatuses = await refreshTablesById([...new Set([...previousTableIds, ...targetTableIds])], { transaction });
 
-    // Cari reservasi
-    const reservation = await Reservation.findByPk(id);
-    if (!reservation) {
-      return res.status(404).json({ message: 'Reservasi tidak ditemukan' });
-    }
+      return {
+        status: 200,
+        body: {
+          message: 'Reservasi berhasil dipindahkan',
+          reservation: await findReservationWithTables(reservation.id, transaction),
+          tableStatuses,
+          ...describeSeating(seating)
+        }
+      };
+    });
 
-    // Validasi user: hanya admin atau pemilik reservasi yang boleh update
-    if (user.id !== reservation.user_id && user.role !== 'admin') {
-      return res.status(403).json({ message: 'Tidak berhak mengupdate reservasi ini' });
-    }
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error moving reservation:', error.message);
+    res.status(500).json({
+      message: 'Gagal memindahkan reservasi',
+      error: error.message || 'Unknown error'
+    });
+  }
+};
 
-    // Validasi status reservasi
-    if (reservation.status === 'completed' || reservation.status === 'cancelled') {
-      return res.status(400).json({ message: `Reservasi sudah ${reservation.status}, tidak dapat diupdate` });
-    }
+// Menukar meja dua reservasi sekaligus dalam satu transaksi (untuk admin)
+// Jadwal kedua reservasi tidak berubah, hanya mejanya yang bertukar
+exports.swapReservations = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const otherId = parseInt(req.body.with_reservation_id, 10);
 
-    // Validasi keberadaan meja baru jika ada perubahan
-    let table = null;
-    if (table_id && table_id !== reservation.table_id) {
-      table = await Table.findByPk(table_id);
-      if (!table) {
-        return res.status(404).json({ message: 'Meja tidak ditemukan' });
-      }
-    } else {
-      table = await Table.findByPk(reservation.table_id);
+    if (!otherId) {
+      return res.status(400).json({ message: 'with_reservation_id harus diisi' });
     }
-
-    // Validasi kapasitas meja
-    if (guest_count && guest_count > table.capacity) {
-      return res.status(400).json({ message: `Kapasitas meja hanya ${table.capacity} orang` });
+    if (otherId === id) {
+      return res.status(400).json({ message: 'Reservasi tidak dapat ditukar dengan dirinya sendiri' });
     }
 
-    // Cek ketersediaan jadwal reservasi jika ada perubahan waktu/tanggal/durasi/meja
-    if (
-      reservation_date ||
-      reservation_time ||
-      duration ||
-      (table_id && table_id !== reservation.table_id)
-    ) {
-      const availabilityCheck = await checkReservationAvailability(
-        table_id || reservation.table_id,
-        reservation_date || reservation.reservation_date,
-        reservation_time || reservation.reservation_time,
-        duration || reservation.duration,
-        id // exclude current reservation
-      );
+    const result = await runBookingTransaction(async (transaction) => {
+      // Kunci kedua reservasi berurutan berdasarkan ID untuk menghindari deadlock
+      const reservations = await Reservation.findAll({
+        where: { id: { [Op.in]: [id, otherId] } },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const first = reservations.find((reservation) => reservation.id === id);
+      const second = reservations.find((reservation) => reservation.id === otherId);
+      if (!first || !second) {
+        return { status: 404, body: { message: 'Reservasi tidak ditemukan' } };
+      }
 
-      if (!availabilityCheck.isAvailable) {
-        return res.status(400).json({ message: availabilityCheck.message });
+      const firstTableIds = await ReservationTable.findTableIds(first, { transaction });
+      const secondTableIds = await ReservationTable.findTableIds(second, { transaction });
+      const allTableIds = [...new Set([...firstTableIds, ...secondTableIds])];
+      if (firstTableIds.length === secondTableIds.length && firstTableIds.every((tableId) => secondTableIds.includes(tableId))) {
+        return { status: 400, body: { message: 'Kedua reservasi memakai meja yang sama' } };
       }
-    }
 
-    // Update data reservasi
-    const updatedFields = {};
-    if (table_id) updatedFields.table_id = table_id;
-    if (reservation_date) updatedFields.reservation_date = reservation_date;
-    if (reservation_time) updatedFields.reservation_time = reservation_time;
-    if (duration) updatedFields.duration = duration;
-    if (guest_count) updatedFields.guest_count = guest_count;
-    if (notes !== undefined) updatedFields.notes = notes;
+      // Semua meja yang terlibat dikunci sekaligus sebelum susunan meja masing-masing dibaca
+      await lockTables(allTableIds, transaction);
+      const firstSeating = await lockReservationSeating(first, transaction);
+      const secondSeating = await lockReservationSeating(second, transaction);
+
+      // Kedua reservasi dikecualikan dari cek bentrok karena sama-sama meninggalkan mejanya
+      const checkOptions = { transaction, user_id: req.user.id, reservation_ids: [first.id, second.id] };
+      const seatingError = await checkSeatingChange(first, secondSeating, checkOptions) ||
+        await checkSeatingChange(second, firstSeating, checkOptions);
+      if (seatingError) {
+        return seatingError;
+      }
 
-    await reservation.update(updatedFields);
+      await applySeatingChange(first, secondSeating, transaction);
+      await applySeatingChange(second, firstSeating, transaction);
 
-    // Ambil data reservasi yang sudah diupdate
-    const updatedReservation = await Reservation.findByPk(id, {
-      include: [{ model: Table, attributes: ['id', 'table_number', 'capacity'] }]
-    });
+      const tableStatuses = await refreshTablesById(allTableIds, { transaction });
 
-    res.status(200).json({
-      message: 'Reservasi berhasil diupdate',
-      reservation: updatedReservation
+      return {
+        status: 200,
+        body: {
+          message: 'Meja kedua reservasi berhasil ditukar',
+          reservations: [
+            await findReservationWithTables(first.id, transaction),
+            await findReservationWithTables(second.id, transaction)
+          ],
+          tableStatuses
+        }
+      };
     });
-  } catch (error) {
-    console.error('Error updating reservation:', error.response?.data || error.message);
-
-    if (error.response) {
-      return res.status(error.response.status).json({
-        message: 'Gagal memverifikasi user atau mengupdate reservasi',
-        error: error.response.data
-      });
-    }
 
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error('Error swapping reservations:', error.message);
     res.status(500).json({
-      message: 'Gagal mengupdate reservasi',
+      message: 'Gagal menukar meja reservasi',
       error: error.message || 'Unknown error'
     });
   }
 };
 
-
 // Endpoint untuk cek ketersediaan (untuk frontend)
 exports.checkAvailability = async (req, res) => {
     try {
-        const { table_id, reservation_date, reservation_time, duration, reservation_id } = req.body;
+        const { table_id, combination_id, reservation_date, reservation_time, duration, reservation_id, guest_count, hold_token } = req.body;
+    const holdOptions = { user_id: req.user.id, hold_token };
+
+    // Dry-run penentuan meja otomatis: tampilkan meja yang akan dipilih tanpa booking
+    if (!table_id && !combination_id && guest_count) {
+      if (!reservation_date || !reservation_time || !duration) {
+        return res.status(200).json({
+          isAvailable: false,
+          message: 'Data reservasi tidak lengkap. reservation_date, reservation_time, dan duration harus diisi'
+        });
+      }
+
+      const businessHours = await checkBusinessHours(reservation_date, reservation_time, duration);
+      if (!businessHours.isOpen) {
+        return res.status(200).json({
+          isAvailable: false,
+          code: businessHours.code,
+          message: businessHours.message,
+          assignedTable: null
+        });
+      }
+
+      const seating = await findBestFitSeating(guest_count, reservation_date, reservation_time, duration, { reservation_id, ...holdOptions });
+
+      if (!seating) {
+        return res.status(200).json({
+          isAvailable: false,
+          message: `Tidak ada meja yang tersedia untuk ${guest_count} orang pada waktu tersebut`,
+          assignedTable: null
+        });
+      }
+
+      return res.status(200).json({
+        isAvailable: true,
+        message: 'Waktu reservasi tersedia',
+        ...describeSeating(seating)
+      });
+    }
+ 
+    // Untuk kombinasi meja, semua meja di dalamnya harus kosong
+    let tableIds = table_id;
+    if (combination_id) {
+      const seating = await lockSeating({ combination_id });
+      if (!seating) {
+        return res.status(404).json({ isAvailable: false, message: 'Kombinasi meja tidak ditemukan' });
+      }
+      tableIds = seating.tables.map((table) => table.id);
+    }
     
         const result = await checkReservationAvailability(
-      table_id, 
+      tableIds, 
       reservation_date, 
       reservation_time, 
       duration,
-      reservation_id
+      reservation_id,
+      holdOptions
     );
+
+    // Jika bentrok, sertakan alternatif waktu dan meja
+    if (isConflict(result)) {
+      result.alternatives = await suggestAlternatives({
+        tableIds,
+        combination_id,
+        guest_count,
+        reservation_date,
+        reservation_time,
+        duration,
+        reservation_id
+      }, holdOptions);
+    }
     
     res.status(200).json(result);
 } catch (error) {
@@ -448,162 +1557,168 @@ exports.checkAvailability = async (req, res) => {
   }
 };
 
-// Fungsi untuk memperbarui status meja berdasarkan jadwal reservasi
-
-// Mengupdate status reservasi
-exports.updateReservationStatus = async (req, res) => {
+// Mencari semua waktu mulai yang masih bisa dibooking pada satu tanggal
+exports.getAvailableSlots = async (req, res) => {
   try {
-    console.log('=== RESERVATION SERVICE UPDATE STATUS DEBUG ===');
-    console.log('All headers:', req.headers);
-    console.log('Authorization header:', req.headers.authorization);
-    console.log('Request body:', req.body);
-
-    const { id } = req.params;
-    const { status } = req.body;
-
-    // Ambil token dari Authorization header
-    const authHeader = req.headers.authorization;
-    let token;
-
-    if (!authHeader) {
-      return res.status(401).json({ message: 'Authorization header tidak ditemukan' });
+    const { date } = req.query;
+    // guests=2.5 atau duration=60abc ditolak, bukan dibulatkan seperti parseInt
+    const guests = toPositiveInteger(req.query.guests);
+    const duration = req.query.duration !== undefined ? toPositiveInteger(req.query.duration) : 60;
+    const interval = req.query.interval !== undefined ? toPositiveInteger(req.query.interval) : DEFAULT_SLOT_INTERVAL;
+
+    if (!date || !isValidDate(date) || !guests) {
+      return res.status(400).json({ message: 'Parameter date (YYYY-MM-DD) dan guests (bilangan bulat lebih dari 0) harus diisi' });
     }
 
-    // Cek apakah format Bearer token atau langsung token
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.split(' ')[1];
-    } else {
-      // Jika tidak ada 'Bearer ', anggap header langsung berisi token
-      token = authHeader;
+    if (!duration || duration > MINUTES_PER_DAY || !interval) {
+      return res.status(400).json({ message: `duration harus bilangan bulat antara 1 dan ${MINUTES_PER_DAY} menit, interval harus bilangan bulat lebih dari 0` });
     }
 
-    if (!token) {
-      return res.status(401).json({ message: 'Token tidak ditemukan dalam Authorization header' });
+    // Meja tunggal dan kombinasi meja yang cukup untuk jumlah tamu
+    const { tables, combinations } = await getSeatingCandidates(guests);
+    const busyByTable = await getBusyIntervalsByTable(date, { user_id: req.user.id });
+
+    // Tanggal tutup atau hari tanpa jam operasional tidak punya slot sama sekali
+    const schedule = await getBusinessSchedule(date);
+    if (schedule.restricted && schedule.periods.length === 0) {
+      const businessHours = await checkBusinessHours(date, '00:00:00', duration);
+      return res.status(200).json({
+        date,
+        guests,
+        duration,
+        interval,
+        code: businessHours.code,
+        message: businessHours.message,
+        slots: []
+      });
     }
 
-    console.log('Extracted token:', token);
+    // Waktu yang sudah lewat hari ini tidak bisa dibooking
+    const now = getCurrentDateTime();
+    const earliestStart = date === now.date ? now.minutes : 0;
+
+    // Slot dimulai pada tanggal yang diminta, tetapi boleh berakhir setelah tengah malam
+    const slots = [];
+    for (let start = 0; start < MINUTES_PER_DAY; start += interval) {
+      const end = start + duration;
+      if (start < earliestStart || !isWithinSchedule(schedule, start, end)) {
+        continue;
+      }
+
+      const freeTables = tables.filter((table) => areTablesFree(busyByTable, [table.id], start, end));
+      const freeCombinations = combinations.filter((combination) => {
+        return areTablesFree(busyByTable, combination.tables.map((table) => table.id), start, end);
+      });
 
-    // Request ke Auth Service lewat API Gateway
-    // Pastikan format Authorization header sesuai dengan yang diharapkan Auth Service
-    const authResponse = await axios.get('http://localhost:3000/auth/getUser', {
-      headers: {
-        Authorization: authHeader // Kirim header authorization yang sama
+      if (freeTables.length === 0 && freeCombinations.length === 0) {
+        continue;
       }
+
+      slots.push({
+        time: minutesToTime(start),
+        tables: freeTables.map((table) => ({
+          id: table.id,
+          table_number: table.table_number,
+          capacity: table.capacity
+        })),
+        combinations: freeCombinations.map((combination) => ({
+          id: combination.id,
+          name: combination.name,
+          capacity: combination.getSeatingCapacity()
+        }))
+      });
+    }
+
+    res.status(200).json({
+      date,
+      guests,
+      duration,
+      interval,
+      slots
+    });
+  } catch (error) {
+    console.error('Error searching available slots:', error);
+    res.status(500).json({
+      message: 'Gagal mencari slot reservasi yang tersedia',
+      error: error.message || 'Unknown error'
     });
+  }
+};
+
+// Mengupdate status reservasi sesuai alur status (lihat utils/reservationLifecycle.js)
+exports.updateReservationStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    const scope = getSeriesScope(req);
 
-    const user = authResponse.data.user;
-    if (!user) {
-      return res.status(401).json({ message: 'User tidak valid' });
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `scope tidak valid. Pilihan: ${SERIES_SCOPES.join(', ')}` });
     }
 
-    const user_id = user.id;
+    const user = req.user;
 
-    // Cari reservasi
-    const reservation = await Reservation.findByPk(id);
-    if (!reservation) {
-      return res.status(404).json({ message: 'Reservasi tidak ditemukan' });
-    }
-
-    // Cek apakah user authorized (admin atau pemilik reservasi)
-    if (user.id !== reservation.user_id && user.role !== 'admin') {
-      return res.status(403).json({ message: 'Tidak berhak mengupdate reservasi ini' });
-    }
-
-    // Update status reservasi
-    reservation.status = status;
-    await reservation.save();
-
-    // Update status meja sesuai logika
-    const table = await Table.findByPk(reservation.table_id);
-    if (table) {
-      const now = new Date();
-      const currentDate = now.toISOString().split('T')[0];
-      const currentTime = now.toTimeString().split(' ')[0];
-
-      if (status === 'confirmed') {
-        const activeOccupiedReservation = await Reservation.findOne({
-          where: {
-            table_id: reservation.table_id,
-            id: { [Op.ne]: reservation.id },
-            reservation_date: currentDate,
-            status: 'confirmed',
-            [Op.and]: [
-              { reservation_time: { [Op.lte]: currentTime } },
-              Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${currentTime}'`)
-            ]
-          }
-        });
+    const result = await runBookingTransaction(async (transaction) => {
+      // Kunci reservasi agar dua perubahan status tidak berjalan bersamaan
+      const reservation = await Reservation.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!reservation) {
+        return { status: 404, body: { message: 'Reservasi tidak ditemukan' } };
+      }
 
-        if (activeOccupiedReservation) {
-          console.log(`Meja tetap occupied karena reservasi ${activeOccupiedReservation.id} sedang aktif`);
-        } else {
-          const reservationDateTime = new Date(`${reservation.reservation_date}T${reservation.reservation_time}`);
-          const diffMinutes = Math.floor((reservationDateTime - now) / (1000 * 60));
-          if (reservation.reservation_date === currentDate && (diffMinutes <= 60 || diffMinutes < 0)) {
-            table.status = 'occupied';
-          } else {
-            table.status = 'reserved';
-          }
-          await table.save();
-        }
-      } else if (status === 'cancelled' || status === 'completed') {
-        const activeReservation = await Reservation.findOne({
-          where: {
-            table_id: reservation.table_id,
-            id: { [Op.ne]: reservation.id },
-            reservation_date: currentDate,
-            status: 'confirmed',
-            [Op.and]: [
-              { reservation_time: { [Op.lte]: currentTime } },
-              Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${currentTime}'`)
-            ]
+      // Cek apakah user authorized (admin atau pemilik reservasi)
+      if (!getActorRole(user, reservation)) {
+        return { status: 403, body: { message: 'Tidak berhak mengupdate reservasi ini' } };
+      }
+
+      const transition = await transitionReservation(reservation, status, { user, reason, transaction });
+      if (!transition.success) {
+        return {
+          status: transition.status,
+          body: {
+            message: transition.message,
+            code: transition.code,
+            currentStatus: reservation.status,
+            allowedStatuses: getAllowedTransitions(reservation, getActorRole(user, reservation))
           }
-        });
+        };
+      }
 
-        if (!activeReservation) {
-          const nextReservation = await Reservation.findOne({
-            where: {
-              table_id: reservation.table_id,
-              id: { [Op.ne]: reservation.id },
-              reservation_date: currentDate,
-              status: 'confirmed',
-              reservation_time: { [Op.gt]: currentTime }
-            },
-            order: [['reservation_time', 'ASC']]
-          });
-
-          if (nextReservation) {
-            const nextReservationDateTime = new Date(`${nextReservation.reservation_date}T${nextReservation.reservation_time}`);
-            const diffMinutes = Math.floor((nextReservationDateTime - now) / (1000 * 60));
-            if (diffMinutes <= 60) {
-              table.status = 'occupied';
-            } else {
-              table.status = 'reserved';
-            }
+      // Update status meja sesuai jadwal reservasi (termasuk yang melewati tengah malam)
+      const tableStatuses = await refreshReservationTables(reservation, { transaction });
+
+      const body = {
+        message: 'Status reservasi berhasil diupdate',
+        reservation,
+        tableStatus: tableStatuses.length > 0 ? tableStatuses[0].status : null,
+        tableStatuses
+      };
+
+      // Misalnya konfirmasi seluruh reservasi rutin sekaligus; kejadian berikutnya
+      // yang tidak bisa berpindah ke status tersebut dilewati
+      if (scope === 'following' && reservation.series_id) {
+        body.updated = [reservation.id];
+        body.skipped = [];
+
+        for (const occurrence of await findFollowingOccurrences(reservation, transaction)) {
+          const occurrenceTransition = await transitionReservation(occurrence, status, { user, reason, transaction });
+          if (occurrenceTransition.success) {
+            await refreshReservationTables(occurrence, { transaction });
+            body.updated.push(occurrence.id);
           } else {
-            table.status = 'available';
+            body.skipped.push({ id: occurrence.id, status: occurrence.status, message: occurrenceTransition.message });
           }
-          await table.save();
         }
       }
-    }
 
-    res.status(200).json({
-      message: 'Status reservasi berhasil diupdate',
-      reservation,
-      tableStatus: table ? table.status : null
+      return { status: 200, body };
     });
 
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error('Error updating reservation status:', error.response?.data || error.message);
-    
-    // Jika error dari Auth Service, kirim response yang lebih detail
-    if (error.response) {
-      return res.status(error.response.status).json({
-        message: 'Gagal memverifikasi user',
-        error: error.response.data
-      });
-    }
+    console.error('Error updating reservation status:', error.message);
     
     res.status(500).json({
       message: 'Gagal mengupdate status reservasi',
@@ -612,250 +1727,138 @@ exports.updateReservationStatus = async (req, res) => {
   }
 };
 
-  
-// Fungsi untuk memperbarui status meja berdasarkan jadwal reservasi
-exports.updateTableStatuses = async (req, res) => {
-try {
-    // Dapatkan waktu sekarang
-    const now = new Date();
-    const currentDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
-    const currentTime = now.toTimeString().split(' ')[0]; // HH:MM:SS
-    
-    // 1. Cari reservasi yang sedang berlangsung (waktu mulai <= sekarang <= waktu selesai)
-    const ongoingReservations = await Reservation.findAll({
-    where: {
-        reservation_date: currentDate,
-        status: 'confirmed',
-        [Op.and]: [
-        { reservation_time: { [Op.lte]: currentTime } },
-        Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${currentTime}'`)
-        ]
-    }
-    });
-    
-    // Set meja untuk reservasi yang sedang berlangsung menjadi 'occupied'
-    for (const reservation of ongoingReservations) {
-    const table = await Table.findByPk(reservation.table_id);
-    if (table && table.status !== 'occupied') {
-        table.status = 'occupied';
-        await table.save();
-    }
-    }
-    
-    // 2. Cari reservasi yang akan dimulai dalam 30 menit
-    const thirtyMinutesLater = new Date(now.getTime() + 30 * 60000);
-    const upcomingTime = thirtyMinutesLater.toTimeString().split(' ')[0];
-    
-    const upcomingReservations = await Reservation.findAll({
-    where: {
-        reservation_date: currentDate,
-        status: 'confirmed',
-        [Op.and]: [
-        { reservation_time: { [Op.gt]: currentTime } },
-        { reservation_time: { [Op.lte]: upcomingTime } }
-        ]
+// Mendapatkan riwayat perubahan status reservasi (admin atau pemilik reservasi)
+exports.getReservationHistory = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const reservation = await Reservation.findByPk(req.params.id);
+    if (!reservation || !getActorRole(user, reservation)) {
+      return res.status(404).json({ message: 'Reservasi tidak ditemukan atau tidak dimiliki oleh user ini' });
     }
+
+    const history = await ReservationStatusHistory.findAll({
+      where: { reservation_id: reservation.id },
+      include: [
+        { model: User, as: 'actor', attributes: ['id', 'name', 'role'] }
+      ],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
     });
-    
-    // Set meja untuk reservasi yang akan dimulai menjadi 'reserve'
-    for (const reservation of upcomingReservations) {
-    const table = await Table.findByPk(reservation.table_id);
-    if (table && table.status === 'available') {
-        table.status = 'reserved';
-        await table.save();
-    }
-    }
-    
-    // 3. Cari reservasi yang sudah selesai
-    const completedReservations = await Reservation.findAll({
-    where: {
-        reservation_date: currentDate,
-        status: 'confirmed',
-        [Op.and]: [
-        Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) <= '${currentTime}'`)
-        ]
-    }
+
+    res.status(200).json({
+      message: 'Riwayat status reservasi berhasil diambil',
+      reservation_id: reservation.id,
+      status: reservation.status,
+      history
     });
-    
-    // Update status reservasi yang sudah selesai
-    for (const reservation of completedReservations) {
-    reservation.status = 'completed';
-    await reservation.save();
-    
-    // Cek apakah ada reservasi aktif lain untuk meja ini
-    const activeReservation = await Reservation.findOne({
-        where: {
-        table_id: reservation.table_id,
-        id: { [Op.ne]: reservation.id },
-        reservation_date: currentDate,
-        status: 'confirmed',
-        // Reservasi yang sedang berlangsung atau akan dimulai dalam 30 menit
-        [Op.or]: [
-            {
-            [Op.and]: [
-                { reservation_time: { [Op.lte]: currentTime } },
-                Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${currentTime}'`)
-            ]
-            },
-            {
-            [Op.and]: [
-                { reservation_time: { [Op.gt]: currentTime } },
-                { reservation_time: { [Op.lte]: upcomingTime } }
-            ]
-            }
-        ]
-        }
+  } catch (error) {
+    console.error('Error fetching reservation history:', error.message);
+    res.status(500).json({
+      message: 'Gagal mengambil riwayat status reservasi',
+      error: error.message || 'Unknown error'
     });
-    
-    // Kembalikan status meja menjadi available jika tidak ada reservasi aktif lainnya
-    if (!activeReservation) {
-        const table = await Table.findByPk(reservation.table_id);
-        if (table) {
-        table.status = 'available';
-        await table.save();
-        }
-    }
-    }
-    
+  }
+};
+
+// Fungsi untuk memperbarui status meja berdasarkan jadwal reservasi
+// Memakai langkah yang sama dengan cronjob agar aturan status hanya ada di satu tempat
+exports.updateTableStatuses = async (req, res) => {
+  try {
+    const now = getCurrentDateTime();
+    const noShow = await markNoShowReservations(now);
+    const completed = await updateExpiredReservations(now);
+    const updated = await updateAllTableStatus(now);
+
     if (res) {
-    res.status(200).json({
+      res.status(200).json({
         message: 'Status meja berhasil diperbarui',
-        ongoing: ongoingReservations.length,
-        upcoming: upcomingReservations.length,
-        completed: completedReservations.length
-    });
+        noShow,
+        completed,
+        updated
+      });
     }
-    
-    return {
-    ongoing: ongoingReservations,
-    upcoming: upcomingReservations,
-    completed: completedReservations
-    };
-} catch (error) {
+
+    return { noShow, completed, updated };
+  } catch (error) {
     console.error('Error updating table statuses:', error);
     if (res) {
-    res.status(500).json({
+      res.status(500).json({
         message: 'Gagal memperbarui status meja',
         error: error.message || 'Unknown error'
-    });
+      });
     }
-    
+
     return { error };
-}
+  }
 };
 
 // Membatalkan reservasi
 exports.cancelReservation = async (req, res) => {
   try {
-    console.log('=== RESERVATION SERVICE CANCEL DEBUG ===');
-    console.log('All headers:', req.headers);
-    console.log('Authorization header:', req.headers.authorization);
-
     const { id } = req.params;
+    const reason = req.body ? req.body.reason : undefined;
+    const scope = getSeriesScope(req);
 
-    // Ambil token dari Authorization header
-    const authHeader = req.headers.authorization;
-    let token;
-
-    if (!authHeader) {
-      return res.status(401).json({ message: 'Authorization header tidak ditemukan' });
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `scope tidak valid. Pilihan: ${SERIES_SCOPES.join(', ')}` });
     }
 
-    // Cek apakah format Bearer token atau langsung token
-    if (authHeader.startsWith('Bearer ')) {
-      token = authHeader.split(' ')[1];
-    } else {
-      // Jika tidak ada 'Bearer ', anggap header langsung berisi token
-      token = authHeader;
-    }
+    const user = req.user;
 
-    if (!token) {
-      return res.status(401).json({ message: 'Token tidak ditemukan dalam Authorization header' });
-    }
+    const result = await runBookingTransaction(async (transaction) => {
+      const reservation = await Reservation.findByPk(id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!reservation) {
+        return { status: 404, body: { message: 'Reservasi tidak ditemukan' } };
+      }
 
-    console.log('Extracted token:', token);
+      // Cek apakah user authorized (admin atau pemilik reservasi)
+      if (!getActorRole(user, reservation)) {
+        return { status: 403, body: { message: 'Tidak berhak membatalkan reservasi ini' } };
+      }
 
-    // Request ke Auth Service lewat API Gateway
-    // Pastikan format Authorization header sesuai dengan yang diharapkan Auth Service
-    const authResponse = await axios.get('http://localhost:3000/auth/getUser', {
-      headers: {
-        Authorization: authHeader // Kirim header authorization yang sama
+      // Reservasi yang sudah selesai, dibatalkan atau sedang berlangsung tidak bisa dibatalkan
+      const transition = await transitionReservation(reservation, 'cancelled', { user, reason, transaction });
+      if (!transition.success) {
+        return { status: transition.status, body: { message: transition.message, code: transition.code } };
       }
-    });
 
-    const user = authResponse.data.user;
-    if (!user) {
-      return res.status(401).json({ message: 'User tidak valid' });
-    }
+      // Hitung ulang status meja, reservasi yang dibatalkan tidak lagi menahan meja
+      await refreshReservationTables(reservation, { transaction });
 
-    const reservation = await Reservation.findByPk(id);
-    if (!reservation) {
-      return res.status(404).json({ message: 'Reservasi tidak ditemukan' });
-    }
-
-    // Cek apakah user authorized (admin atau pemilik reservasi)
-    if (user.id !== reservation.user_id && user.role !== 'admin') {
-      return res.status(403).json({ message: 'Tidak berhak membatalkan reservasi ini' });
-    }
-
-    // Cek apakah reservasi sudah selesai atau dibatalkan
-    if (reservation.status === 'completed' || reservation.status === 'cancelled') {
-      return res.status(400).json({ message: `Reservasi sudah ${reservation.status}` });
-    }
-
-    // Update status reservasi menjadi cancelled
-    reservation.status = 'cancelled';
-    await reservation.save();
-
-    // Cek apakah reservasi ini adalah yang sedang aktif untuk meja
-    const now = new Date();
-    const currentDate = now.toISOString().split('T')[0];
-    const currentTime = now.toTimeString().split(' ')[0];
-
-    if (
-      reservation.reservation_date === currentDate &&
-      reservation.reservation_time <= currentTime &&
-      Sequelize.literal(`ADDTIME('${reservation.reservation_time}', SEC_TO_TIME(${reservation.duration} * 60)) > '${currentTime}'`)
-    ) {
-      // Cek apakah ada reservasi aktif lain untuk meja ini
-      const activeReservation = await Reservation.findOne({
-        where: {
-          table_id: reservation.table_id,
-          id: { [Op.ne]: reservation.id },
-          reservation_date: currentDate,
-          status: 'confirmed',
-          // Reservasi yang sedang berlangsung (waktu mulai <= sekarang <= waktu selesai)
-          [Op.and]: [
-            { reservation_time: { [Op.lte]: currentTime } },
-            Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${currentTime}'`)
-          ]
-        }
-      });
+      // Meja yang kosong sekarang ditawarkan ke rombongan pertama di antrean yang muat
+      const waitlistNotified = await notifyNextWaitlistEntry(reservation, { transaction });
 
-      // Update status meja menjadi available jika tidak ada reservasi aktif lainnya
-      if (!activeReservation) {
-        const table = await Table.findByPk(reservation.table_id);
-        if (table) {
-          table.status = 'available';
-          await table.save();
+      const body = {
+        message: 'Reservasi berhasil dibatalkan',
+        reservation,
+        waitlistNotified
+      };
+
+      // Kejadian berikutnya yang tidak bisa dibatalkan (misal sudah seated) dilewati
+      if (scope === 'following' && reservation.series_id) {
+        body.cancelled = [reservation.id];
+        body.skipped = [];
+
+        for (const occurrence of await findFollowingOccurrences(reservation, transaction)) {
+          const occurrenceTransition = await transitionReservation(occurrence, 'cancelled', { user, reason, transaction });
+          if (occurrenceTransition.success) {
+            await refreshReservationTables(occurrence, { transaction });
+            body.cancelled.push(occurrence.id);
+          } else {
+            body.skipped.push({ id: occurrence.id, status: occurrence.status, message: occurrenceTransition.message });
+          }
         }
       }
-    }
 
-    res.status(200).json({
-      message: 'Reservasi berhasil dibatalkan',
-      reservation
+      return { status: 200, body };
     });
+
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error('Error cancelling reservation:', error.response?.data || error.message);
-    
-    // Jika error dari Auth Service, kirim response yang lebih detail
-    if (error.response) {
-      return res.status(error.response.status).json({
-        message: 'Gagal memverifikasi user',
-        error: error.response.data
-      });
-    }
+    console.error('Error cancelling reservation:', error.message);
     
     res.status(500).json({ 
       message: 'Gagal membatalkan reservasi', 
@@ -864,29 +1867,24 @@ exports.cancelReservation = async (req, res) => {
   }
 };
 
-// 
+// Mendapatkan reservasi yang sedang berlangsung
 exports.getOngoingReservations = async (req, res) => {
   try {
-    const now = new Date();
-    const today = now.toISOString().split('T')[0]; // Format YYYY-MM-DD
-    const currentTime = now.toTimeString().split(' ')[0]; // Format HH:MM:SS
+    const now = getCurrentDateTime();
 
+    // Termasuk reservasi kemarin yang masih berlangsung setelah tengah malam
     const reservations = await Reservation.findAll({
       where: {
-        reservation_date: today,
         status: {
-          [Op.notIn]: ['cancelled', 'completed']
+          [Op.notIn]: INACTIVE_STATUSES
         },
-        [Op.and]: [
-          Sequelize.literal(TIME(reservation_time) <= TIME('${currentTime}')),
-          Sequelize.literal(ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > TIME('${currentTime}'))
-        ]
+        ...activeAt(now.dateTime)
       },
       include: [
-        { model: User, attributes: ['id', 'name', 'email', 'phone'] },
+        { model: User, attributes: ['id', 'name', 'email', 'phone', 'no_show_count'] },
         { model: Table, attributes: ['id', 'table_number', 'capacity'] }
       ],
-      order: [['reservation_time', 'ASC']]
+      order: CHRONOLOGICAL_ORDER
     });
 
     res.status(200).json(reservations);
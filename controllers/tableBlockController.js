@@ -0,0 +1,270 @@
+const Table = require('../models/Table');
+const TableBlock = require('../models/TableBlock');
+const Reservation = require('../models/Reservation');
+const ReservationTable = require('../models/ReservationTable');
+const User = require('../models/User');
+const sequelize = require('../config/database');
+const { Op } = require('sequelize');
+const { overlapsRange, CHRONOLOGICAL_ORDER } = require('../utils/reservationQuery');
+const { INACTIVE_STATUSES } = require('../utils/reservationLifecycle');
+const { isValidDate, isValidTime, timeToMinutes, toDateTime, toDate, getCurrentDateTime } = require('../utils/reservationTime');
+
+/**
+ * Mengubah input "YYYY-MM-DD HH:MM[:SS]" menjadi datetime lengkap
+ * @returns {string|null} - Datetime (format: YYYY-MM-DD HH:MM:SS) atau null jika tidak valid
+ */
+const parseDateTime = (value) => {
+  const [date, time] = String(value || '').trim().split(/[ T]/);
+  if (!isValidDate(date) || !isValidTime(time)) {
+    return null;
+  }
+
+  return toDateTime(date, timeToMinutes(time));
+};
+
+/**
+ * Format data blokir beserta mejanya
+ */
+const formatBlock = (block) => ({
+  id: block.id,
+  reason: block.reason,
+  start_at: block.start_at,
+  end_at: block.end_at,
+  all_tables: block.all_tables,
+  tables: block.all_tables ? [] : block.tables.map((table) => ({
+    id: table.id,
+    table_number: table.table_number,
+    capacity: table.capacity
+  })),
+  creator: block.creator ? { id: block.creator.id, name: block.creator.name } : null
+});
+
+const BLOCK_INCLUDE = [
+  { model: Table, as: 'tables', through: { attributes: [] } },
+  { model: User, as: 'creator', attributes: ['id', 'name'] }
+];
+
+/**
+ * Validasi data blokir dari body request; field yang tidak diisi diambil dari blokir lama
+ * @param {Object} body - Body request
+ * @param {TableBlock|null} block - Blokir lama (untuk update)
+ * @returns {Promise<{error?: {status: number, message: string}, values?: Object}>}
+ */
+const validateBlock = async (body, block = null) => {
+  const reason = body.reason !== undefined ? body.reason : (block && block.reason);
+  if (!reason) {
+    return { error: { status: 400, message: 'reason harus diisi' } };
+  }
+
+  const start = body.start_at !== undefined
+    ? parseDateTime(body.start_at)
+    : block && getCurrentDateTime(block.start_at).dateTime;
+  const end = body.end_at !== undefined
+    ? parseDateTime(body.end_at)
+    : block && getCurrentDateTime(block.end_at).dateTime;
+  if (!start || !end) {
+    return { error: { status: 400, message: 'start_at dan end_at harus berformat YYYY-MM-DD HH:MM:SS' } };
+  }
+  if (end <= start) {
+    return { error: { status: 400, message: 'end_at harus setelah start_at' } };
+  }
+
+  const allTables = body.all_tables !== undefined ? Boolean(body.all_tables) : Boolean(block && block.all_tables);
+  let tableIds = [];
+  if (!allTables) {
+    if (body.table_ids !== undefined) {
+      if (!Array.isArray(body.table_ids) || body.table_ids.length === 0) {
+        return { error: { status: 400, message: 'table_ids (minimal 1 meja) harus diisi, atau isi all_tables: true' } };
+      }
+      tableIds = [...new Set(body.table_ids.map((id) => parseInt(id, 10)))];
+    } else if (block && !block.all_tables) {
+      tableIds = block.tables.map((table) => table.id);
+    } else {
+      return { error: { status: 400, message: 'table_ids (minimal 1 meja) harus diisi, atau isi all_tables: true' } };
+    }
+
+    // Pastikan semua meja ada
+    const tables = await Table.findAll({ where: { id: { [Op.in]: tableIds } } });
+    if (tables.length !== tableIds.length) {
+      return { error: { status: 404, message: 'Sebagian meja tidak ditemukan' } };
+    }
+  }
+
+  return { values: { reason, start, end, allTables, tableIds } };
+};
+
+/**
+ * Reservasi aktif yang bertabrakan dengan blokir, agar staf bisa memindahkannya
+ * @param {TableBlock} block - Data blokir (relasi tables sudah di-include)
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Reservation[]>}
+ */
+const findCollidingReservations = async (block, options = {}) => {
+  const conditions = [
+    overlapsRange(getCurrentDateTime(block.start_at).dateTime, getCurrentDateTime(block.end_at).dateTime)
+  ];
+
+  if (!block.all_tables) {
+    const tableIds = block.tables.map((table) => table.id);
+    const linkedReservationIds = await ReservationTable.findReservationIds(tableIds, options);
+    conditions.push({
+      [Op.or]: [
+        { table_id: { [Op.in]: tableIds } },
+        { id: { [Op.in]: linkedReservationIds } }
+      ]
+    });
+  }
+
+  return Reservation.findAll({
+    where: {
+      status: { [Op.notIn]: INACTIVE_STATUSES },
+      [Op.and]: conditions
+    },
+    include: [
+      { model: User, attributes: ['id', 'name', 'email', 'phone'] },
+      { model: Table, as: 'tables', attributes: ['id', 'table_number', 'capacity'], through: { attributes: [] } }
+    ],
+    order: CHRONOLOGICAL_ORDER,
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Menyimpan blokir baru atau perubahan blokir dalam satu transaksi
+ */
+const saveBlock = async (block, values, user) => {
+  const savedId = await sequelize.transaction(async (transaction) => {
+    const fields = {
+      reason: values.reason,
+      start_at: toDate(values.start),
+      end_at: toDate(values.end),
+      all_tables: values.allTables
+    };
+
+    const saved = block
+      ? await block.update(fields, { transaction })
+      : await TableBlock.create({ ...fields, created_by: user.id }, { transaction });
+    await saved.setTables(values.tableIds, { transaction });
+
+    return saved.id;
+  });
+
+  return TableBlock.findByPk(savedId, { include: BLOCK_INCLUDE });
+};
+
+// Mendapatkan blokir meja (default: yang belum berakhir), bisa difilter dengan from/to
+exports.getAllBlocks = async (req, res) => {
+  try {
+    const from = req.query.from ? parseDateTime(req.query.from) : getCurrentDateTime().dateTime;
+    const to = req.query.to ? parseDateTime(req.query.to) : null;
+    if (!from || (req.query.to && !to)) {
+      return res.status(400).json({ message: 'from dan to harus berformat YYYY-MM-DD HH:MM:SS' });
+    }
+
+    const where = to
+      ? overlapsRange(from, to)
+      : { end_at: { [Op.gt]: toDate(from) } };
+
+    const blocks = await TableBlock.findAll({
+      where,
+      include: BLOCK_INCLUDE,
+      order: [['start_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.status(200).json(blocks.map(formatBlock));
+  } catch (error) {
+    console.error('Error fetching table blocks:', error);
+    res.status(500).json({ message: 'Gagal mengambil data blokir meja' });
+  }
+};
+
+// Mendapatkan blokir berdasarkan ID beserta reservasi yang bertabrakan
+exports.getBlockById = async (req, res) => {
+  try {
+    const block = await TableBlock.findByPk(req.params.id, { include: BLOCK_INCLUDE });
+    if (!block) {
+      return res.status(404).json({ message: 'Blokir meja tidak ditemukan' });
+    }
+
+    res.status(200).json({
+      ...formatBlock(block),
+      conflictingReservations: await findCollidingReservations(block)
+    });
+  } catch (error) {
+    console.error('Error fetching table block:', error);
+    res.status(500).json({ message: 'Gagal mengambil data blokir meja' });
+  }
+};
+
+// Menambahkan blokir meja
+exports.createBlock = async (req, res) => {
+  try {
+    const { error, values } = await validateBlock(req.body);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const block = await saveBlock(null, values, req.user);
+    const conflictingReservations = await findCollidingReservations(block);
+
+    res.status(201).json({
+      message: conflictingReservations.length > 0
+        ? `Blokir meja berhasil ditambahkan, ${conflictingReservations.length} reservasi bertabrakan dan perlu dipindahkan`
+        : 'Blokir meja berhasil ditambahkan',
+      block: formatBlock(block),
+      conflictingReservations
+    });
+  } catch (error) {
+    console.error('Error creating table block:', error);
+    res.status(500).json({ message: 'Gagal menambahkan blokir meja' });
+  }
+};
+
+// Mengupdate blokir meja
+exports.updateBlock = async (req, res) => {
+  try {
+    const block = await TableBlock.findByPk(req.params.id, { include: BLOCK_INCLUDE });
+    if (!block) {
+      return res.status(404).json({ message: 'Blokir meja tidak ditemukan' });
+    }
+
+    const { error, values } = await validateBlock(req.body, block);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const updatedBlock = await saveBlock(block, values, req.user);
+    const conflictingReservations = await findCollidingReservations(updatedBlock);
+
+    res.status(200).json({
+      message: conflictingReservations.length > 0
+        ? `Blokir meja berhasil diupdate, ${conflictingReservations.length} reservasi bertabrakan dan perlu dipindahkan`
+        : 'Blokir meja berhasil diupdate',
+      block: formatBlock(updatedBlock),
+      conflictingReservations
+    });
+  } catch (error) {
+    console.error('Error updating table block:', error);
+    res.status(500).json({ message: 'Gagal mengupdate blokir meja' });
+  }
+};
+
+// Menghapus blokir meja
+exports.deleteBlock = async (req, res) => {
+  try {
+    const block = await TableBlock.findByPk(req.params.id);
+    if (!block) {
+      return res.status(404).json({ message: 'Blokir meja tidak ditemukan' });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await block.setTables([], { transaction });
+      await block.destroy({ transaction });
+    });
+
+    res.status(200).json({ message: 'Blokir meja berhasil dihapus' });
+  } catch (error) {
+    console.error('Error deleting table block:', error);
+    res.status(500).json({ message: 'Gagal menghapus blokir meja' });
+  }
+};
@@ -0,0 +1,130 @@
+const Table = require('../models/Table');
+const TableCombination = require('../models/TableCombination');
+const Reservation = require('../models/Reservation');
+const ReservationHold = require('../models/ReservationHold');
+const { Op } = require('sequelize');
+const { INACTIVE_STATUSES } = require('../utils/reservationLifecycle');
+const { CHRONOLOGICAL_ORDER } = require('../utils/reservationQuery');
+
+/**
+ * Format data kombinasi meja beserta kapasitas gabungannya
+ */
+const formatCombination = (combination) => ({
+  id: combination.id,
+  name: combination.name,
+  capacity: combination.getSeatingCapacity(),
+  tables: combination.tables.map((table) => ({
+    id: table.id,
+    table_number: table.table_number,
+    capacity: table.capacity
+  }))
+});
+
+// Mendapatkan semua kombinasi meja
+exports.getAllCombinations = async (req, res) => {
+  try {
+    const combinations = await TableCombination.findAll({
+      include: [{ model: Table, as: 'tables', through: { attributes: [] } }],
+      order: [['id', 'ASC']]
+    });
+
+    res.status(200).json(combinations.map(formatCombination));
+  } catch (error) {
+    console.error('Error fetching table combinations:', error);
+    res.status(500).json({ message: 'Gagal mengambil data kombinasi meja' });
+  }
+};
+
+// Menambahkan kombinasi meja baru
+exports.createCombination = async (req, res) => {
+  try {
+    const { name, table_ids, capacity } = req.body;
+
+    if (!name || !Array.isArray(table_ids) || table_ids.length < 2) {
+      return res.status(400).json({ message: 'name dan table_ids (minimal 2 meja) harus diisi' });
+    }
+
+    const tableIds = [...new Set(table_ids.map((id) => parseInt(id, 10)))];
+    if (tableIds.length < 2) {
+      return res.status(400).json({ message: 'Kombinasi harus terdiri dari minimal 2 meja berbeda' });
+    }
+
+    // Kapasitas opsional; jika diisi harus bilangan bulat lebih dari 0
+    const hasCapacity = capacity !== undefined && capacity !== null && capacity !== '';
+    if (hasCapacity && !(Number.isInteger(Number(capacity)) && Number(capacity) > 0)) {
+      return res.status(400).json({ message: 'capacity harus berupa bilangan bulat lebih dari 0' });
+    }
+
+    // Pastikan semua meja ada
+    const tables = await Table.findAll({ where: { id: { [Op.in]: tableIds }, archived_at: null } });
+    if (tables.length !== tableIds.length) {
+      return res.status(404).json({ message: 'Sebagian meja tidak ditemukan' });
+    }
+
+    const combination = await TableCombination.create({
+      name,
+      capacity: hasCapacity ? Number(capacity) : null
+    });
+    await combination.setTables(tableIds);
+
+    const createdCombination = await TableCombination.findByPk(combination.id, {
+      include: [{ model: Table, as: 'tables', through: { attributes: [] } }]
+    });
+
+    res.status(201).json({
+      message: 'Kombinasi meja berhasil ditambahkan',
+      combination: formatCombination(createdCombination)
+    });
+  } catch (error) {
+    console.error('Error creating table combination:', error);
+    res.status(500).json({ message: 'Gagal menambahkan kombinasi meja' });
+  }
+};
+
+// Menghapus kombinasi meja
+// Ditolak selama masih ada reservasi yang belum selesai atau hold aktif yang memakai kombinasi ini
+exports.deleteCombination = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const combination = await TableCombination.findByPk(id);
+    if (!combination) {
+      return res.status(404).json({ message: 'Kombinasi meja tidak ditemukan' });
+    }
+
+    const reservations = await Reservation.findAll({
+      where: {
+        combination_id: combination.id,
+        status: { [Op.notIn]: INACTIVE_STATUSES },
+        end_at: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'reservation_date', 'reservation_time', 'duration', 'guest_count', 'status'],
+      order: CHRONOLOGICAL_ORDER
+    });
+    const holds = await ReservationHold.findAll({
+      where: {
+        combination_id: combination.id,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'reservation_date', 'reservation_time', 'guest_count', 'expires_at'],
+      order: [['expires_at', 'ASC']]
+    });
+
+    if (reservations.length > 0 || holds.length > 0) {
+      return res.status(409).json({
+        message: `Kombinasi meja masih dipakai oleh ${reservations.length} reservasi dan ${holds.length} hold. Pindahkan reservasi tersebut terlebih dahulu`,
+        reservations,
+        holds
+      });
+    }
+
+    // Reservasi lama tetap memakai daftar meja yang tersimpan di ReservationTable
+    await combination.setTables([]);
+    await combination.destroy();
+
+    res.status(200).json({ message: 'Kombinasi meja berhasil dihapus' });
+  } catch (error) {
+    console.error('Error deleting table combination:', error);
+    res.status(500).json({ message: 'Gagal menghapus kombinasi meja' });
+  }
+};
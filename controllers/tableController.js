@@ -1,9 +1,110 @@
 const Table = require('../models/Table');
+const User = require('../models/User');
+const TableBlock = require('../models/TableBlock');
+const Zone = require('../models/Zone');
+const Reservation = require('../models/Reservation');
+const TableCombination = require('../models/TableCombination');
+const { Op } = require('sequelize');
+const { refreshTableStatus } = require('../utils/tableStatus');
+const {
+  MINUTES_PER_DAY,
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  diffDays,
+  diffMinutes,
+  toDateTime,
+  toDate,
+  getCurrentDateTime,
+  toPositiveInteger
+} = require('../utils/reservationTime');
+const { overlapsRange, CHRONOLOGICAL_ORDER } = require('../utils/reservationQuery');
+const { checkBusinessHours, getBusinessSchedule } = require('../utils/businessHours');
+const { INACTIVE_STATUSES } = require('../utils/reservationLifecycle');
+const { archiveTable, findFreeTables } = require('../utils/tableLifecycle');
 
-// Mendapatkan semua meja
+// Field denah meja yang bisa diatur lewat createTable dan updateTableLayout
+const LAYOUT_FIELDS = ['zone_id', 'position_x', 'position_y', 'shape', 'rotation', 'min_capacity', 'features'];
+
+/**
+ * Validasi data denah meja dari body request (hanya field yang dikirim)
+ * @param {Object} body - Body request
+ * @param {number} capacity - Kapasitas meja (untuk validasi min_capacity)
+ * @returns {Promise<{error?: {status: number, message: string}, values?: Object}>}
+ */
+const validateLayout = async (body, capacity) => {
+  const values = {};
+  for (const field of LAYOUT_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  }
+
+  if (values.zone_id !== undefined && values.zone_id !== null) {
+    const zone = await Zone.findByPk(values.zone_id);
+    if (!zone) {
+      return { error: { status: 404, message: 'Zona tidak ditemukan' } };
+    }
+  }
+
+  for (const field of ['position_x', 'position_y']) {
+    if (values[field] !== undefined && values[field] !== null && !Number.isFinite(Number(values[field]))) {
+      return { error: { status: 400, message: `${field} harus berupa angka` } };
+    }
+  }
+
+  if (values.shape !== undefined && values.shape !== null && !Table.SHAPES.includes(values.shape)) {
+    return { error: { status: 400, message: `shape tidak valid. Pilihan: ${Table.SHAPES.join(', ')}` } };
+  }
+
+  if (values.rotation !== undefined) {
+    const rotation = parseInt(values.rotation, 10);
+    if (!(rotation >= 0 && rotation < 360)) {
+      return { error: { status: 400, message: 'rotation harus antara 0 dan 359 derajat' } };
+    }
+    values.rotation = rotation;
+  }
+
+  if (values.min_capacity !== undefined && values.min_capacity !== null) {
+    const minCapacity = parseInt(values.min_capacity, 10);
+    if (!(minCapacity > 0 && minCapacity <= capacity)) {
+      return { error: { status: 400, message: `min_capacity harus antara 1 dan kapasitas meja (${capacity})` } };
+    }
+    values.min_capacity = minCapacity;
+  }
+
+  if (values.features !== undefined && values.features !== null) {
+    if (!Array.isArray(values.features) || values.features.some((feature) => typeof feature !== 'string')) {
+      return { error: { status: 400, message: 'features harus berupa array teks, misal ["window", "outlet"]' } };
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * Filter meja berdasarkan zona dari query ?zone_id=
+ * @returns {Object} - Potongan kondisi where
+ */
+const zoneFilter = (query) => {
+  if (query.zone_id === undefined) {
+    return {};
+  }
+
+  return { zone_id: query.zone_id === 'none' ? null : parseInt(query.zone_id, 10) };
+};
+
+// Mendapatkan semua meja (bisa difilter dengan ?zone_id=)
+// Meja yang sudah diarsipkan hanya ditampilkan dengan ?include_archived=true
 exports.getAllTables = async (req, res) => {
   try {
-    const tables = await Table.findAll();
+    const tables = await Table.findAll({
+      where: {
+        ...zoneFilter(req.query),
+        ...(req.query.include_archived === 'true' ? {} : { archived_at: null })
+      },
+      include: [{ model: Zone, attributes: ['id', 'name'] }]
+    });
     res.status(200).json(tables);
   } catch (error) {
     console.error('Error fetching tables:', error);
@@ -31,7 +132,17 @@ exports.getTableById = async (req, res) => {
 // Menambahkan meja baru
 exports.createTable = async (req, res) => {
   try {
-    const { table_number, capacity } = req.body;
+    const { table_number, capacity, turnover_buffer } = req.body;
+
+    const layout = await validateLayout(req.body, capacity);
+    if (layout.error) {
+      return res.status(layout.error.status).json({ message: layout.error.message });
+    }
+
+    // Kosongkan turnover_buffer untuk memakai jeda default (TURNOVER_BUFFER_MINUTES)
+    if (turnover_buffer !== undefined && turnover_buffer !== null && !(parseInt(turnover_buffer, 10) >= 0)) {
+      return res.status(400).json({ message: 'turnover_buffer harus berupa jumlah menit (0 atau lebih)' });
+    }
     
     // Cek apakah nomor meja sudah ada
     const existingTable = await Table.findOne({ where: { table_number } });
@@ -40,8 +151,10 @@ exports.createTable = async (req, res) => {
     }
     
     const table = await Table.create({
+      ...layout.values,
       table_number,
       capacity,
+      turnover_buffer: turnover_buffer !== undefined && turnover_buffer !== null ? parseInt(turnover_buffer, 10) : null,
       status: 'available'
     });
     
@@ -55,19 +168,40 @@ exports.createTable = async (req, res) => {
   }
 };
 
-// Mengupdate status meja
+// Mengupdate status meja secara manual (override)
+// Selama override berlaku, cronjob dan perubahan reservasi tidak mengubah status meja ini
 exports.updateTableStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason, until } = req.body;
+
+    if (!Table.STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status tidak valid. Pilihan: ${Table.STATUSES.join(', ')}` });
+    }
+
+    // until opsional: override berakhir otomatis pada waktu tersebut
+    let overrideUntil = null;
+    if (until) {
+      overrideUntil = toDate(until);
+      if (Number.isNaN(overrideUntil.getTime())) {
+        return res.status(400).json({ message: 'Format until harus YYYY-MM-DD HH:MM:SS' });
+      }
+      if (overrideUntil <= new Date()) {
+        return res.status(400).json({ message: 'until harus di masa depan' });
+      }
+    }
     
     const table = await Table.findByPk(id);
     if (!table) {
       return res.status(404).json({ message: 'Meja tidak ditemukan' });
     }
     
-    // Update status meja
+    // Update status meja beserta data override
     table.status = status;
+    table.status_override_at = new Date();
+    table.status_override_reason = reason || null;
+    table.status_override_until = overrideUntil;
+    table.status_override_by = req.user.id;
     await table.save();
     
     res.status(200).json({
@@ -80,30 +214,430 @@ exports.updateTableStatus = async (req, res) => {
   }
 };
 
-// Menghapus meja
-exports.deleteTable = async (req, res) => {
+// Mengupdate data meja (nomor, kapasitas, jeda membersihkan meja dan data denah)
+exports.updateTable = async (req, res) => {
+  try {
+    const { table_number, capacity, turnover_buffer } = req.body;
+
+    const table = await Table.findByPk(req.params.id);
+    if (!table || table.archived_at) {
+      return res.status(404).json({ message: 'Meja tidak ditemukan' });
+    }
+
+    const updatedFields = {};
+
+    if (table_number !== undefined) {
+      const tableNumber = parseInt(table_number, 10);
+      if (!(tableNumber > 0)) {
+        return res.status(400).json({ message: 'table_number harus berupa angka lebih dari 0' });
+      }
+
+      // Cek apakah nomor meja sudah dipakai meja lain
+      const existingTable = await Table.findOne({ where: { table_number: tableNumber, id: { [Op.ne]: table.id } } });
+      if (existingTable) {
+        return res.status(400).json({ message: 'Nomor meja sudah ada' });
+      }
+      updatedFields.table_number = tableNumber;
+    }
+
+    if (capacity !== undefined) {
+      const newCapacity = parseInt(capacity, 10);
+      if (!(newCapacity > 0)) {
+        return res.status(400).json({ message: 'capacity harus berupa angka lebih dari 0' });
+      }
+
+      // Kapasitas tidak boleh lebih kecil dari jumlah tamu reservasi yang belum selesai di meja ini,
+      // termasuk reservasi kombinasi tanpa capacity tetap yang kapasitasnya dihitung dari jumlah kapasitas meja
+      const combinations = (await TableCombination.findAll({
+        where: { capacity: null },
+        include: [{ model: Table, as: 'tables', through: { attributes: [] } }]
+      })).filter((combination) => combination.tables.some((member) => member.id === table.id));
+
+      const upcomingReservations = await Reservation.findAll({
+        where: {
+          status: { [Op.notIn]: INACTIVE_STATUSES },
+          end_at: { [Op.gt]: toDate(getCurrentDateTime().dateTime) },
+          [Op.or]: [
+            { table_id: table.id, combination_id: null, guest_count: { [Op.gt]: newCapacity } },
+            ...combinations.map((combination) => ({
+              combination_id: combination.id,
+              guest_count: {
+                [Op.gt]: combination.tables.reduce(
+                  (total, member) => total + (member.id === table.id ? newCapacity : member.capacity),
+                  0
+                )
+              }
+            }))
+          ]
+        },
+        attributes: ['id', 'reservation_date', 'reservation_time', 'guest_count', 'status', 'combination_id'],
+        order: [['start_at', 'ASC'], ['id', 'ASC']]
+      });
+      if (upcomingReservations.length > 0) {
+        return res.status(409).json({
+          message: `Kapasitas tidak dapat diubah menjadi ${newCapacity}, ada ${upcomingReservations.length} reservasi dengan jumlah tamu lebih banyak`,
+          reservations: upcomingReservations
+        });
+      }
+      updatedFields.capacity = newCapacity;
+    }
+
+    if (turnover_buffer !== undefined) {
+      if (turnover_buffer !== null && !(parseInt(turnover_buffer, 10) >= 0)) {
+        return res.status(400).json({ message: 'turnover_buffer harus berupa jumlah menit (0 atau lebih)' });
+      }
+      updatedFields.turnover_buffer = turnover_buffer === null ? null : parseInt(turnover_buffer, 10);
+    }
+
+    const newCapacity = updatedFields.capacity || table.capacity;
+    const layout = await validateLayout(req.body, newCapacity);
+    if (layout.error) {
+      return res.status(layout.error.status).json({ message: layout.error.message });
+    }
+
+    // min_capacity lama harus tetap valid jika kapasitas dikecilkan
+    const minCapacity = layout.values.min_capacity !== undefined ? layout.values.min_capacity : table.min_capacity;
+    if (minCapacity && minCapacity > newCapacity) {
+      return res.status(400).json({ message: `min_capacity (${minCapacity}) tidak boleh lebih besar dari capacity (${newCapacity})` });
+    }
+
+    await table.update({ ...updatedFields, ...layout.values });
+
+    res.status(200).json({
+      message: 'Meja berhasil diupdate',
+      table
+    });
+  } catch (error) {
+    console.error('Error updating table:', error);
+    res.status(500).json({ message: 'Gagal mengupdate meja' });
+  }
+};
+
+// Mengupdate data denah meja (zona, posisi, bentuk, rotasi, kapasitas minimal, fasilitas)
+exports.updateTableLayout = async (req, res) => {
+  try {
+    const table = await Table.findByPk(req.params.id);
+    if (!table || table.archived_at) {
+      return res.status(404).json({ message: 'Meja tidak ditemukan' });
+    }
+
+    const layout = await validateLayout(req.body, table.capacity);
+    if (layout.error) {
+      return res.status(layout.error.status).json({ message: layout.error.message });
+    }
+
+    await table.update(layout.values);
+
+    res.status(200).json({
+      message: 'Denah meja berhasil diupdate',
+      table
+    });
+  } catch (error) {
+    console.error('Error updating table layout:', error);
+    res.status(500).json({ message: 'Gagal mengupdate denah meja' });
+  }
+};
+
+// Mendapatkan meja yang statusnya sedang diatur manual
+exports.getStatusOverrides = async (req, res) => {
+  try {
+    const tables = await Table.findAll({
+      where: { status_override_at: { [Op.ne]: null } },
+      include: [{ model: User, as: 'overriddenBy', attributes: ['id', 'name'] }],
+      order: [['status_override_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.status(200).json(tables.filter((table) => table.hasActiveOverride()));
+  } catch (error) {
+    console.error('Error fetching table status overrides:', error);
+    res.status(500).json({ message: 'Gagal mengambil data override status meja' });
+  }
+};
+
+// Status reservasi yang tidak ditampilkan di timeline, dan yang tidak dihitung sebagai tamu datang
+const TIMELINE_HIDDEN_STATUSES = ['cancelled'];
+const UNCOUNTED_COVER_STATUSES = ['cancelled', 'no_show'];
+
+/**
+ * Menyusun baris timeline satu meja: reservasi dan blokir urut waktu,
+ * diselingi celah kosong di antara keduanya selama tanggal tersebut
+ * @param {Array<{type: string, start: number, end: number}>} entries - Menit relatif terhadap awal tanggal
+ * @param {string} date - Tanggal (format: YYYY-MM-DD)
+ * @returns {Array<Object>}
+ */
+const buildTimelineRow = (entries, date) => {
+  const row = [];
+  let freeFrom = 0;
+
+  for (const entry of [...entries].sort((a, b) => a.start - b.start || a.end - b.end)) {
+    if (entry.start > freeFrom) {
+      row.push({ type: 'gap', start: freeFrom, end: entry.start });
+    }
+    row.push(entry);
+    freeFrom = Math.max(freeFrom, entry.end);
+  }
+
+  if (freeFrom < MINUTES_PER_DAY) {
+    row.push({ type: 'gap', start: freeFrom, end: MINUTES_PER_DAY });
+  }
+
+  return row.map(({ start, end, ...entry }) => ({
+    ...entry,
+    start: toDateTime(date, start),
+    end: toDateTime(date, end),
+    minutes: end - start
+  }));
+};
+
+// Timeline satu hari untuk host: semua meja beserta reservasi, blokir dan celah kosongnya,
+// ditambah jumlah tamu per jam (untuk admin)
+exports.getTimeline = async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!date || !isValidDate(date)) {
+      return res.status(400).json({ message: 'Parameter date (YYYY-MM-DD) harus diisi' });
+    }
+
+    const dayStart = toDateTime(date, 0);
+    const dayEnd = toDateTime(date, MINUTES_PER_DAY);
+
+    const reservations = await Reservation.findAll({
+      where: {
+        ...overlapsRange(dayStart, dayEnd),
+        status: { [Op.notIn]: TIMELINE_HIDDEN_STATUSES }
+      },
+      include: [
+        { model: Table, as: 'tables', attributes: ['id'], through: { attributes: [] } },
+        { model: User, attributes: ['id', 'name', 'phone'] }
+      ],
+      order: CHRONOLOGICAL_ORDER
+    });
+    const blocks = await TableBlock.findAll({
+      where: overlapsRange(dayStart, dayEnd),
+      include: [{ model: Table, as: 'tables', attributes: ['id'], through: { attributes: [] } }],
+      order: [['start_at', 'ASC'], ['id', 'ASC']]
+    });
+    const tables = await Table.findAll({
+      where: zoneFilter(req.query),
+      include: [{ model: Zone, attributes: ['id', 'name'] }],
+      order: [['table_number', 'ASC']]
+    });
+
+    const entriesByTable = new Map(tables.map((table) => [table.id, []]));
+    const addEntry = (tableIds, entry) => {
+      for (const tableId of tableIds) {
+        if (entriesByTable.has(tableId)) {
+          entriesByTable.get(tableId).push(entry);
+        }
+      }
+    };
+
+    const coversByHour = Array.from({ length: 24 }, (_, hour) => ({ hour, arrivals: 0, in_house: 0 }));
+    // Total hanya menghitung reservasi yang dimulai pada tanggal tersebut
+    const totals = { reservations: 0, covers: 0 };
+
+    for (const reservation of reservations) {
+      const start = diffDays(date, reservation.reservation_date) * MINUTES_PER_DAY +
+        timeToMinutes(reservation.reservation_time);
+      const end = start + reservation.duration;
+
+      // Reservasi gabungan tampil di semua meja yang dipakainya
+      const tableIds = reservation.tables.length > 0
+        ? reservation.tables.map((table) => table.id)
+        : [reservation.table_id];
+      addEntry(tableIds, {
+        type: 'reservation',
+        id: reservation.id,
+        status: reservation.status,
+        guest_count: reservation.guest_count,
+        combination_id: reservation.combination_id,
+        guest: reservation.User ? { name: reservation.User.name, phone: reservation.User.phone } : null,
+        notes: reservation.notes,
+        start,
+        end
+      });
+
+      if (UNCOUNTED_COVER_STATUSES.includes(reservation.status)) {
+        continue;
+      }
+      if (start >= 0) {
+        coversByHour[Math.floor(start / 60)].arrivals += reservation.guest_count;
+        totals.reservations++;
+        totals.covers += reservation.guest_count;
+      }
+      for (const slot of coversByHour) {
+        if (start < (slot.hour + 1) * 60 && end > slot.hour * 60) {
+          slot.in_house += reservation.guest_count;
+        }
+      }
+    }
+
+    // Blokir tidak digambar pada meja yang sudah diarsipkan, termasuk blokir untuk semua meja
+    const archivedTableIds = new Set(tables.filter((table) => table.archived_at).map((table) => table.id));
+    const activeTableIds = tables.filter((table) => !table.archived_at).map((table) => table.id);
+    for (const block of blocks) {
+      const tableIds = block.all_tables
+        ? activeTableIds
+        : block.tables.map((table) => table.id).filter((tableId) => !archivedTableIds.has(tableId));
+      addEntry(tableIds, {
+        type: 'block',
+        id: block.id,
+        reason: block.reason,
+        start: diffMinutes(dayStart, getCurrentDateTime(block.start_at).dateTime),
+        end: diffMinutes(dayStart, getCurrentDateTime(block.end_at).dateTime)
+      });
+    }
+
+    // Meja yang sudah diarsipkan hanya ditampilkan jika masih punya reservasi pada tanggal tersebut
+    const rows = tables
+      .filter((table) => !table.archived_at || entriesByTable.get(table.id).length > 0)
+      .map((table) => ({
+        id: table.id,
+        table_number: table.table_number,
+        capacity: table.capacity,
+        status: table.status,
+        archived_at: table.archived_at,
+        Zone: table.Zone,
+        timeline: buildTimelineRow(entriesByTable.get(table.id), date)
+      }));
+
+    const schedule = await getBusinessSchedule(date);
+
+    res.status(200).json({
+      date,
+      businessHours: schedule.periods.map((period) => ({
+        name: period.name,
+        start: toDateTime(date, period.start),
+        end: toDateTime(date, period.end)
+      })),
+      closure: schedule.closure,
+      totals,
+      coversByHour: coversByHour.map((slot) => ({
+        hour: `${String(slot.hour).padStart(2, '0')}:00`,
+        arrivals: slot.arrivals,
+        in_house: slot.in_house
+      })),
+      tables: rows
+    });
+  } catch (error) {
+    console.error('Error fetching table timeline:', error);
+    res.status(500).json({ message: 'Gagal mengambil timeline meja' });
+  }
+};
+
+// Menghapus override sehingga status meja kembali dihitung dari reservasi
+exports.clearStatusOverride = async (req, res) => {
   try {
     const { id } = req.params;
-    
+
     const table = await Table.findByPk(id);
     if (!table) {
       return res.status(404).json({ message: 'Meja tidak ditemukan' });
     }
-    
-    await table.destroy();
-    
-    res.status(200).json({ message: 'Meja berhasil dihapus' });
+
+    if (!table.hasActiveOverride()) {
+      return res.status(404).json({ message: 'Meja tidak memiliki override status' });
+    }
+
+    table.clearOverride();
+    await table.save();
+    const { status, reason } = await refreshTableStatus(table);
+
+    res.status(200).json({
+      message: 'Override status meja berhasil dihapus',
+      table,
+      status,
+      reason
+    });
+  } catch (error) {
+    console.error('Error clearing table status override:', error);
+    res.status(500).json({ message: 'Gagal menghapus override status meja' });
+  }
+};
+
+// Menghapus meja (diarsipkan, riwayat reservasi tetap utuh)
+// Meja dengan reservasi yang belum selesai ditolak, kecuali ?reassign=true
+exports.deleteTable = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reassign = String(req.query.reassign || (req.body && req.body.reassign)) === 'true';
+
+    const result = await archiveTable(id, { reassign });
+
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('Error deleting table:', error);
     res.status(500).json({ message: 'Gagal menghapus meja' });
   }
 };
 
-// Mendapatkan meja yang tersedia
+/**
+ * Meja yang kosong pada ?date=&time=&duration=&guests= menurut jadwal reservasi,
+ * beserta jendela kosong sebelum booking berikutnya
+ */
+const getAvailableTablesAt = async (req, res) => {
+  const { date, time } = req.query;
+  const duration = req.query.duration !== undefined ? toPositiveInteger(req.query.duration) : 60;
+  const guests = req.query.guests !== undefined ? toPositiveInteger(req.query.guests) : null;
+
+  if (!date || !isValidDate(date) || !time || !isValidTime(time)) {
+    return res.status(400).json({ message: 'Parameter date (YYYY-MM-DD) dan time (HH:MM:SS) harus diisi' });
+  }
+
+  if (!duration || duration > MINUTES_PER_DAY) {
+    return res.status(400).json({ message: `duration harus bilangan bulat antara 1 dan ${MINUTES_PER_DAY} menit` });
+  }
+
+  if (req.query.guests !== undefined && !guests) {
+    return res.status(400).json({ message: 'guests harus berupa bilangan bulat lebih dari 0' });
+  }
+
+  const result = { date, time, duration, guests };
+
+  // Di luar jam operasional tidak ada meja yang bisa dipakai
+  const businessHours = await checkBusinessHours(date, time, duration);
+  if (!businessHours.isOpen) {
+    return res.status(200).json({
+      ...result,
+      code: businessHours.code,
+      message: businessHours.message,
+      tables: []
+    });
+  }
+
+  const freeTables = await findFreeTables(date, time, duration, {
+    guests,
+    where: zoneFilter(req.query)
+  });
+
+  res.status(200).json({
+    ...result,
+    tables: freeTables.map(({ table, ...window }) => ({ ...table.toJSON(), ...window }))
+  });
+};
+
+// Mendapatkan meja yang tersedia (bisa difilter dengan ?zone_id=)
+// Meja yang sedang diblokir tidak ditampilkan
+// Dengan ?date=&time= ketersediaan dihitung dari jadwal reservasi pada waktu tersebut
 exports.getAvailableTables = async (req, res) => {
   try {
+    if (req.query.date || req.query.time) {
+      return await getAvailableTablesAt(req, res);
+    }
+
+    const blocked = await TableBlock.findBlockedTableIds();
+    if (blocked.allTables) {
+      return res.status(200).json([]);
+    }
+
     const tables = await Table.findAll({
-      where: { status: 'available' }
+      where: {
+        ...zoneFilter(req.query),
+        archived_at: null,
+        status: 'available',
+        id: { [Op.notIn]: blocked.tableIds }
+      },
+      include: [{ model: Zone, attributes: ['id', 'name'] }]
     });
     
     res.status(200).json(tables);
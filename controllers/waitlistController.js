@@ -0,0 +1,95 @@
+const Waitlist = require('../models/Waitlist');
+const Table = require('../models/Table');
+const { Op } = require('sequelize');
+const { QUEUED_STATUSES, estimateWaitMinutes } = require('../utils/waitlist');
+
+// Status antrean yang boleh dipakai sebagai filter
+const WAITLIST_STATUSES = ['waiting', 'notified', 'seated', 'removed'];
+
+// Menambahkan rombongan ke antrean
+exports.addToWaitlist = async (req, res) => {
+  try {
+    const { name, phone, party_size, quoted_wait } = req.body;
+
+    const partySize = parseInt(party_size, 10);
+    if (!name || !(partySize > 0)) {
+      return res.status(400).json({ message: 'name dan party_size (lebih dari 0) harus diisi' });
+    }
+
+    if (quoted_wait !== undefined && !(parseInt(quoted_wait, 10) >= 0)) {
+      return res.status(400).json({ message: 'quoted_wait harus berupa jumlah menit (0 atau lebih)' });
+    }
+
+    // Perkiraan dari waktu selesai reservasi yang sedang berlangsung dan berikutnya
+    const estimatedWait = await estimateWaitMinutes(partySize);
+    if (estimatedWait === null) {
+      return res.status(400).json({ message: `Tidak ada meja atau kombinasi meja untuk ${partySize} orang` });
+    }
+
+    // Staf boleh menyampaikan waktu tunggu sendiri ke tamu
+    const entry = await Waitlist.create({
+      name,
+      phone,
+      party_size: partySize,
+      quoted_wait: quoted_wait !== undefined ? parseInt(quoted_wait, 10) : estimatedWait
+    });
+
+    res.status(201).json({
+      message: 'Rombongan berhasil ditambahkan ke antrean',
+      estimatedWait,
+      entry
+    });
+  } catch (error) {
+    console.error('Error adding waitlist entry:', error);
+    res.status(500).json({ message: 'Gagal menambahkan antrean' });
+  }
+};
+
+// Mendapatkan antrean (default: yang masih menunggu), urut dari yang paling lama
+exports.getWaitlist = async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : QUEUED_STATUSES;
+    const invalidStatus = statuses.find((status) => !WAITLIST_STATUSES.includes(status));
+    if (invalidStatus) {
+      return res.status(400).json({ message: `Status tidak valid. Pilihan: ${WAITLIST_STATUSES.join(', ')}` });
+    }
+
+    const entries = await Waitlist.findAll({
+      where: { status: { [Op.in]: statuses } },
+      include: [{ model: Table, as: 'notifiedTable', attributes: ['id', 'table_number', 'capacity'] }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    const now = Date.now();
+    let position = 0;
+    res.status(200).json(entries.map((entry) => ({
+      ...entry.toJSON(),
+      position: QUEUED_STATUSES.includes(entry.status) ? ++position : null,
+      waited_minutes: Math.floor((now - new Date(entry.created_at).getTime()) / 60000)
+    })));
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ message: 'Gagal mengambil data antrean' });
+  }
+};
+
+// Mengeluarkan rombongan dari antrean (misalnya tamu pergi)
+exports.removeFromWaitlist = async (req, res) => {
+  try {
+    const entry = await Waitlist.findByPk(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Antrean tidak ditemukan' });
+    }
+
+    if (!QUEUED_STATUSES.includes(entry.status)) {
+      return res.status(400).json({ message: `Antrean sudah ${entry.status}` });
+    }
+
+    await entry.update({ status: 'removed' });
+
+    res.status(200).json({ message: 'Rombongan berhasil dikeluarkan dari antrean', entry });
+  } catch (error) {
+    console.error('Error removing waitlist entry:', error);
+    res.status(500).json({ message: 'Gagal mengeluarkan rombongan dari antrean' });
+  }
+};
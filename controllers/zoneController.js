@@ -0,0 +1,133 @@
+const Zone = require('../models/Zone');
+const Table = require('../models/Table');
+const Reservation = require('../models/Reservation');
+const sequelize = require('../config/database');
+
+// Mendapatkan semua zona beserta denah mejanya
+exports.getAllZones = async (req, res) => {
+  try {
+    const zones = await Zone.findAll({
+      include: [{ model: Table, as: 'tables', where: { archived_at: null }, required: false }],
+      order: [['sort_order', 'ASC'], ['id', 'ASC'], [{ model: Table, as: 'tables' }, 'table_number', 'ASC']]
+    });
+
+    res.status(200).json(zones);
+  } catch (error) {
+    console.error('Error fetching zones:', error);
+    res.status(500).json({ message: 'Gagal mengambil data zona' });
+  }
+};
+
+// Mendapatkan zona berdasarkan ID
+exports.getZoneById = async (req, res) => {
+  try {
+    const zone = await Zone.findByPk(req.params.id, {
+      include: [{ model: Table, as: 'tables', where: { archived_at: null }, required: false }],
+      order: [[{ model: Table, as: 'tables' }, 'table_number', 'ASC']]
+    });
+
+    if (!zone) {
+      return res.status(404).json({ message: 'Zona tidak ditemukan' });
+    }
+
+    res.status(200).json(zone);
+  } catch (error) {
+    console.error('Error fetching zone:', error);
+    res.status(500).json({ message: 'Gagal mengambil data zona' });
+  }
+};
+
+// Menambahkan zona baru
+exports.createZone = async (req, res) => {
+  try {
+    const { name, description, sort_order } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'name harus diisi' });
+    }
+
+    const existingZone = await Zone.findOne({ where: { name } });
+    if (existingZone) {
+      return res.status(400).json({ message: 'Nama zona sudah ada' });
+    }
+
+    const zone = await Zone.create({
+      name,
+      description,
+      sort_order: parseInt(sort_order, 10) || 0
+    });
+
+    res.status(201).json({
+      message: 'Zona berhasil ditambahkan',
+      zone
+    });
+  } catch (error) {
+    console.error('Error creating zone:', error);
+    res.status(500).json({ message: 'Gagal menambahkan zona' });
+  }
+};
+
+// Mengupdate zona
+exports.updateZone = async (req, res) => {
+  try {
+    const { name, description, sort_order } = req.body;
+
+    const zone = await Zone.findByPk(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Zona tidak ditemukan' });
+    }
+
+    if (name !== undefined) {
+      if (!name) {
+        return res.status(400).json({ message: 'name tidak boleh kosong' });
+      }
+
+      const existingZone = await Zone.findOne({ where: { name } });
+      if (existingZone && existingZone.id !== zone.id) {
+        return res.status(400).json({ message: 'Nama zona sudah ada' });
+      }
+      zone.name = name;
+    }
+    if (description !== undefined) zone.description = description;
+    if (sort_order !== undefined) zone.sort_order = parseInt(sort_order, 10) || 0;
+
+    await zone.save();
+
+    res.status(200).json({
+      message: 'Zona berhasil diupdate',
+      zone
+    });
+  } catch (error) {
+    console.error('Error updating zone:', error);
+    res.status(500).json({ message: 'Gagal mengupdate zona' });
+  }
+};
+
+// Menghapus zona (hanya jika tidak ada meja di dalamnya)
+exports.deleteZone = async (req, res) => {
+  try {
+    const zone = await Zone.findByPk(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Zona tidak ditemukan' });
+    }
+
+    const tableCount = await Table.count({ where: { zone_id: zone.id, archived_at: null } });
+    if (tableCount > 0) {
+      return res.status(400).json({
+        message: `Zona masih memiliki ${tableCount} meja. Pindahkan meja ke zona lain terlebih dahulu`
+      });
+    }
+
+    // Meja yang sudah diarsipkan dan reservasi yang memilih zona ini dilepas dari zona
+    await sequelize.transaction(async (transaction) => {
+      await Table.update({ zone_id: null }, { where: { zone_id: zone.id }, transaction });
+      await Reservation.update({ preferred_zone_id: null }, { where: { preferred_zone_id: zone.id }, transaction });
+      await zone.destroy({ transaction });
+    });
+
+    res.status(200).json({ message: 'Zona berhasil dihapus' });
+  } catch (error) {
+    console.error('Error deleting zone:', error);
+    res.status(500).json({ message: 'Gagal menghapus zona' });
+  }
+};
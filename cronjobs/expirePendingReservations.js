@@ -0,0 +1,59 @@
+// cronjobs/expirePendingReservations.js
+
+const Reservation = require('../models/Reservation.js');
+const { startedBy } = require('../utils/reservationQuery.js');
+const { getCurrentDateTime, toDate, toDateTime, timeToMinutes, getEnvMinutes } = require('../utils/reservationTime.js');
+const { transitionReservationIfStill } = require('../utils/reservationLifecycle.js');
+const { logMessage } = require('../utils/logger.js');
+const { Op } = require('sequelize');
+
+// Reservasi pending harus dikonfirmasi dalam sekian menit setelah dibuat
+const PENDING_CONFIRMATION_MINUTES = getEnvMinutes('PENDING_CONFIRMATION_MINUTES', 30);
+
+// ... dan paling lambat sekian menit sebelum waktu mulai (0 = sampai waktu mulai)
+const PENDING_CONFIRMATION_BEFORE_START_MINUTES = getEnvMinutes('PENDING_CONFIRMATION_BEFORE_START_MINUTES', 0);
+
+/**
+ * Membatalkan reservasi pending yang tidak dikonfirmasi dalam batas waktu,
+ * sehingga slot mejanya kembali tersedia
+ * Batas waktu: PENDING_CONFIRMATION_MINUTES setelah dibuat, atau
+ * PENDING_CONFIRMATION_BEFORE_START_MINUTES sebelum waktu mulai (mana yang lebih dulu)
+ * @param {Object} now - Hasil getCurrentDateTime (default: sekarang)
+ * @returns {Promise<number>} - Jumlah reservasi yang dibatalkan
+ */
+const expirePendingReservations = async (now = getCurrentDateTime()) => {
+  const createdBefore = new Date(toDate(now.dateTime).getTime() - PENDING_CONFIRMATION_MINUTES * 60000);
+  const startLimit = toDateTime(now.date, timeToMinutes(now.time) + PENDING_CONFIRMATION_BEFORE_START_MINUTES);
+
+  const where = {
+    status: 'pending',
+    [Op.or]: [
+      { created_at: { [Op.lte]: createdBefore } },
+      startedBy(startLimit)
+    ]
+  };
+  const staleReservations = await Reservation.findAll({ where });
+
+  let expiredCount = 0;
+  for (const reservation of staleReservations) {
+    let reason = `Not confirmed within ${PENDING_CONFIRMATION_MINUTES} minutes of booking`;
+    if (reservation.created_at > createdBefore) {
+      reason = PENDING_CONFIRMATION_BEFORE_START_MINUTES > 0
+        ? `Not confirmed ${PENDING_CONFIRMATION_BEFORE_START_MINUTES} minutes before the start time`
+        : 'Not confirmed before the start time';
+    }
+
+    // Dibaca ulang dengan lock: staf bisa saja sudah mengonfirmasi reservasi sejak query di atas
+    const result = await transitionReservationIfStill(reservation.id, where, 'cancelled', { reason });
+    if (result.success) {
+      logMessage(`Cancelling unconfirmed reservation #${reservation.id} (Table #${reservation.table_id}, Time: ${reservation.reservation_date} ${reservation.reservation_time}): ${reason}`);
+      expiredCount++;
+    }
+  }
+
+  return expiredCount;
+};
+
+module.exports = expirePendingReservations;
+module.exports.PENDING_CONFIRMATION_MINUTES = PENDING_CONFIRMATION_MINUTES;
+module.exports.PENDING_CONFIRMATION_BEFORE_START_MINUTES = PENDING_CONFIRMATION_BEFORE_START_MINUTES;
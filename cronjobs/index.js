@@ -1,32 +1,9 @@
 // cronjobs/index.js
 const cron = require('node-cron');
-const fs = require('fs');
-const path = require('path');
-const moment = require('moment');
 const updateReservationAndTableStatus = require('./updateReservationStatus');
-
-// Konfigurasi logging
-const logDir = path.join(__dirname, '../logs');
-const logFilePath = path.join(logDir, 'cronjob.log');
-
-// Memastikan direktori log ada
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-/**
- * Fungsi untuk menulis log ke file dan console
- */
-const logMessage = (message) => {
-  const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
-  const logEntry = `[${timestamp}] ${message}\n`;
-  
-  // Log ke console
-  console.log(logEntry.trim());
-  
-  // Log ke file
-  fs.appendFileSync(logFilePath, logEntry);
-};
+const expirePendingReservations = require('./expirePendingReservations');
+const ReservationHold = require('../models/ReservationHold');
+const { logMessage } = require('../utils/logger');
 
 /**
  * Fungsi untuk memulai semua cronjobs
@@ -53,10 +30,33 @@ const initCronJobs = () => {
   });
   
   logMessage('Reservation status update cronjob scheduled (every 5 minutes)');
+  
+  // Cronjob untuk membatalkan reservasi pending yang tidak dikonfirmasi
+  // dan menghapus hold slot yang sudah kedaluwarsa
+  // Berjalan setiap menit agar slot cepat kembali tersedia
+  const pendingExpiryJob = cron.schedule('* * * * *', async () => {
+    try {
+      const expiredCount = await expirePendingReservations();
+      if (expiredCount > 0) {
+        logMessage(`Cancelled ${expiredCount} unconfirmed pending reservations`);
+      }
+
+      const expiredHolds = await ReservationHold.destroyExpired();
+      if (expiredHolds > 0) {
+        logMessage(`Removed ${expiredHolds} expired reservation holds`);
+      }
+    } catch (error) {
+      logMessage(`ERROR running pending expiry cronjob: ${error.message}`);
+      logMessage(error.stack);
+    }
+  });
+  
+  logMessage(`Pending reservation expiry cronjob scheduled (every minute, confirmation window ${expirePendingReservations.PENDING_CONFIRMATION_MINUTES} minutes)`);
   logMessage('===== ALL CRONJOBS INITIALIZED =====');
   
   return {
-    scheduledJob
+    scheduledJob,
+    pendingExpiryJob
   };
 };
 
@@ -1,35 +1,17 @@
 // cronjobs/updateReservationStatus.js
 
-const { Sequelize, Op } = require('sequelize');
 // Perbaikan path model agar sesuai dengan struktur folder
 const Reservation = require('../models/Reservation.js');
 const Table = require('../models/Table.js');
-const fs = require('fs');
-const path = require('path');
-const moment = require('moment');
+const { endedBy, startedBy } = require('../utils/reservationQuery.js');
+const { refreshTableStatus } = require('../utils/tableStatus.js');
+const { getCurrentDateTime, toDateTime, timeToMinutes, getEnvMinutes } = require('../utils/reservationTime.js');
+const { transitionReservationIfStill } = require('../utils/reservationLifecycle.js');
+const { notifyNextWaitlistEntry } = require('../utils/waitlist.js');
+const { logMessage } = require('../utils/logger.js');
 
-// Konfigurasi logging
-const logDir = path.join(__dirname, '../logs');
-const logFilePath = path.join(logDir, 'cronjob.log');
-
-// Memastikan direktori log ada
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
-/**
- * Fungsi untuk menulis log ke file dan console
- */
-const logMessage = (message) => {
-  const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
-  const logEntry = `[${timestamp}] ${message}\n`;
-  
-  // Log ke console
-  console.log(logEntry.trim());
-  
-  // Log ke file
-  fs.appendFileSync(logFilePath, logEntry);
-};
+// Reservasi confirmed yang belum seated setelah sekian menit dari waktu mulai dianggap no-show
+const NO_SHOW_GRACE_MINUTES = getEnvMinutes('NO_SHOW_GRACE_MINUTES', 15);
 
 /**
  * Fungsi utama untuk update status reservasi dan meja
@@ -39,20 +21,22 @@ const updateReservationAndTableStatus = async () => {
   try {
     logMessage('===== CRONJOB STARTED: UPDATE RESERVATION AND TABLE STATUS =====');
     
-    // Dapatkan waktu sekarang
-    const now = new Date();
-    const currentDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
-    const currentTime = now.toTimeString().split(' ')[0]; // HH:MM:SS
+    // Dapatkan waktu sekarang (waktu lokal server)
+    const now = getCurrentDateTime();
     
-    logMessage(`Current time: ${currentDate} ${currentTime}`);
+    logMessage(`Current time: ${now.dateTime}`);
     
-    // 1. Update status reservasi yang lewat waktu tapi belum complete/cancelled
-    const expiredCount = await updateExpiredReservations(currentDate, currentTime);
+    // 1. Tandai reservasi confirmed yang tamunya tidak datang sebagai no-show
+    const noShowCount = await markNoShowReservations(now);
+    logMessage(`Marked ${noShowCount} reservations as 'no_show' (grace period ${NO_SHOW_GRACE_MINUTES} minutes)`);
+    
+    // 2. Selesaikan reservasi seated yang sudah lewat waktu
+    const expiredCount = await updateExpiredReservations(now);
     logMessage(`Updated ${expiredCount} expired reservations to 'completed'`);
     
-    // 2. Update semua status meja berdasarkan reservasi aktif
-    const tableUpdates = await updateAllTableStatus(currentDate, currentTime);
-    logMessage(`Updated table statuses: ${tableUpdates.occupied} occupied, ${tableUpdates.reserved} reserved, ${tableUpdates.available} available`);
+    // 3. Update semua status meja berdasarkan reservasi aktif
+    const tableUpdates = await updateAllTableStatus(now);
+    logMessage(`Updated table statuses: ${tableUpdates.occupied} occupied, ${tableUpdates.cleaning} cleaning, ${tableUpdates.reserved} reserved, ${tableUpdates.available} available, ${tableUpdates.overridden} skipped (manual override)`);
     
     logMessage('===== CRONJOB COMPLETED: UPDATE RESERVATION AND TABLE STATUS =====');
     return true;
@@ -64,120 +48,97 @@ const updateReservationAndTableStatus = async () => {
 };
 
 /**
- * Update reservasi yang sudah lewat waktu tapi belum diselesaikan
+ * Tandai reservasi confirmed yang tidak pernah seated sebagai no-show
+ * setelah masa tenggang dari waktu mulai berakhir, sehingga meja bisa dilepas
+ * lebih awal dan jumlah no-show user bertambah
  */
-const updateExpiredReservations = async (currentDate, currentTime) => {
-  // Cari reservasi yang status masih confirmed tapi waktunya sudah lewat
-  const expiredReservations = await Reservation.findAll({
-    where: {
-      status: 'confirmed',
-      [Op.or]: [
-        // Reservasi dari hari-hari sebelumnya
-        { reservation_date: { [Op.lt]: currentDate } },
-        // Reservasi hari ini yang waktunya + durasinya sudah lewat
-        {
-          reservation_date: currentDate,
-          [Op.and]: [
-            Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) < '${currentTime}'`)
-          ]
-        }
-      ]
+const markNoShowReservations = async (now) => {
+  const graceLimit = toDateTime(now.date, timeToMinutes(now.time) - NO_SHOW_GRACE_MINUTES);
+
+  const where = {
+    status: 'confirmed',
+    ...startedBy(graceLimit)
+  };
+  const missedReservations = await Reservation.findAll({ where, attributes: ['id'] });
+
+  let noShowCount = 0;
+  for (const { id } of missedReservations) {
+    // Dibaca ulang dengan lock: staf bisa saja sudah check-in tamu sejak query di atas
+    const result = await transitionReservationIfStill(id, where, 'no_show', {
+      reason: `Not checked in within ${NO_SHOW_GRACE_MINUTES} minutes of the start time`
+    });
+    if (result.success) {
+      const { reservation } = result;
+      logMessage(`Marking reservation #${reservation.id} as no-show (Table #${reservation.table_id}, Time: ${reservation.reservation_date} ${reservation.reservation_time}, User #${reservation.user_id})`);
+      noShowCount++;
     }
-  });
+  }
+
+  return noShowCount;
+};
+
+/**
+ * Update reservasi seated yang sudah lewat waktu tapi belum diselesaikan
+ * Waktu selesai dihitung dari tanggal + jam + durasi, sehingga reservasi
+ * yang melewati tengah malam baru diselesaikan setelah benar-benar berakhir.
+ * Reservasi confirmed yang tamunya tidak datang ditangani markNoShowReservations.
+ */
+const updateExpiredReservations = async (now) => {
+  // Cari reservasi seated yang waktu selesainya sudah lewat
+  const where = {
+    status: 'seated',
+    ...endedBy(now.dateTime)
+  };
+  const expiredReservations = await Reservation.findAll({ where, attributes: ['id'] });
   
   // Update status menjadi 'completed' untuk reservasi yang sudah lewat
-  for (const reservation of expiredReservations) {
-    logMessage(`Auto-completing expired reservation #${reservation.id} (Table #${reservation.table_id}, Time: ${reservation.reservation_date} ${reservation.reservation_time})`);
-    reservation.status = 'completed';
-    await reservation.save();
+  // (dibaca ulang dengan lock agar perubahan staf sejak query di atas tidak tertimpa)
+  let completedCount = 0;
+  for (const { id } of expiredReservations) {
+    const result = await transitionReservationIfStill(id, where, 'completed', { reason: 'Reservation time has ended' });
+    if (result.success) {
+      const { reservation } = result;
+      logMessage(`Auto-completing expired reservation #${reservation.id} (Table #${reservation.table_id}, Time: ${reservation.reservation_date} ${reservation.reservation_time})`);
+      completedCount++;
+
+      // Meja yang kosong ditawarkan ke rombongan pertama di antrean yang muat
+      const waitlistEntry = await notifyNextWaitlistEntry(reservation, { now });
+      if (waitlistEntry) {
+        logMessage(`Notifying waitlist entry #${waitlistEntry.id} (${waitlistEntry.name}, party of ${waitlistEntry.party_size}) for Table #${reservation.table_id}`);
+      }
+    }
   }
   
-  return expiredReservations.length;
+  return completedCount;
 };
 
 /**
  * Update status semua meja berdasarkan reservasi yang aktif
+ * Aturan status ada di utils/tableStatus.js (dipakai juga oleh controller reservasi)
  */
-const updateAllTableStatus = async (currentDate, currentTime) => {
-  // Ambil semua meja
-  const tables = await Table.findAll();
-  const updates = { occupied: 0, reserved: 0, available: 0 };
+const updateAllTableStatus = async (now) => {
+  // Ambil semua meja yang belum diarsipkan
+  const tables = await Table.findAll({ where: { archived_at: null } });
+  const updates = { occupied: 0, cleaning: 0, reserved: 0, available: 0, overridden: 0 };
   
   for (const table of tables) {
-    const oldStatus = table.status;
-    
-    // Cek apakah ada reservasi yang sedang aktif untuk meja ini
-    const activeReservation = await Reservation.findOne({
-      where: {
-        table_id: table.id,
-        reservation_date: currentDate,
-        status: 'confirmed',
-        // Reservasi yang sedang berlangsung (waktu mulai <= sekarang <= waktu selesai)
-        [Op.and]: [
-          { reservation_time: { [Op.lte]: currentTime } },
-          Sequelize.literal(`ADDTIME(reservation_time, SEC_TO_TIME(duration * 60)) > '${currentTime}'`)
-        ]
-      }
-    });
-    
-    // Jika ada reservasi aktif, set status meja menjadi 'occupied'
-    if (activeReservation) {
-      if (table.status !== 'occupied') {
-        logMessage(`Table #${table.id}: ${oldStatus} -> occupied (Active reservation #${activeReservation.id})`);
-        table.status = 'occupied';
-        await table.save();
-        updates.occupied++;
-      }
+    // Meja dengan override manual yang masih berlaku tidak diubah
+    const result = await refreshTableStatus(table, { now });
+    if (result.overridden) {
+      updates.overridden++;
       continue;
     }
-    
-    // Jika tidak ada reservasi aktif, cek reservasi berikutnya
-    const nextReservation = await Reservation.findOne({
-      where: {
-        table_id: table.id,
-        reservation_date: currentDate,
-        status: 'confirmed',
-        reservation_time: { [Op.gt]: currentTime }
-      },
-      order: [['reservation_time', 'ASC']]
-    });
-    
-    if (nextReservation) {
-      // Hitung selisih waktu dengan reservasi berikutnya
-      const nextReservationTime = new Date(`${nextReservation.reservation_date}T${nextReservation.reservation_time}`);
-      const diffMinutes = Math.floor((nextReservationTime - new Date()) / (1000 * 60));
-      
-      // Jika waktu <= 60 menit sebelum reservasi, set 'occupied'
-      if (diffMinutes <= 60) {
-        if (table.status !== 'occupied') {
-          logMessage(`Table #${table.id}: ${oldStatus} -> occupied (Upcoming reservation #${nextReservation.id} in ${diffMinutes} minutes)`);
-          table.status = 'occupied';
-          await table.save();
-          updates.occupied++;
-        }
-      }
-      // Jika lebih dari 60 menit, set 'reserved'
-      else {
-        if (table.status !== 'reserved') {
-          logMessage(`Table #${table.id}: ${oldStatus} -> reserved (Next reservation #${nextReservation.id} in ${diffMinutes} minutes)`);
-          table.status = 'reserved';
-          await table.save();
-          updates.reserved++;
-        }
-      }
-    }
-    // Jika tidak ada reservasi aktif atau berikutnya, set 'available'
-    else {
-      if (table.status !== 'available') {
-        logMessage(`Table #${table.id}: ${oldStatus} -> available (No active or upcoming reservations)`);
-        table.status = 'available';
-        await table.save();
-        updates.available++;
-      }
+
+    if (result.changed) {
+      logMessage(`Table #${table.id}: ${result.oldStatus} -> ${result.status} (${result.reason})`);
+      updates[result.status]++;
     }
   }
   
   return updates;
 };
 
-module.exports = updateReservationAndTableStatus;
\ No newline at end of file
+module.exports = updateReservationAndTableStatus;
+module.exports.markNoShowReservations = markNoShowReservations;
+module.exports.updateExpiredReservations = updateExpiredReservations;
+module.exports.updateAllTableStatus = updateAllTableStatus;
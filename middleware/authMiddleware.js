@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+/**
+ * Mengambil token dari Authorization header
+ * Mendukung format "Bearer <token>" maupun token langsung
+ * @param {string} authHeader - Isi Authorization header
+ * @returns {string|null} - Token atau null jika tidak ada
+ */
+const extractToken = (authHeader) => {
+  if (!authHeader) {
+    return null;
+  }
+
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1] || null;
+  }
+
+  // Jika tidak ada 'Bearer ', anggap header langsung berisi token
+  return authHeader;
+};
+
+/**
+ * Middleware untuk memastikan request membawa token JWT yang valid
+ * Token diverifikasi secara lokal, lalu dicocokkan dengan data user di database
+ * agar token yang sudah di-logout (token_version berubah) ditolak
+ */
+exports.requireAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({ message: 'Authorization header tidak ditemukan' });
+  }
+
+  const token = extractToken(authHeader);
+  if (!token) {
+    return res.status(401).json({ message: 'Token tidak ditemukan dalam Authorization header' });
+  }
+
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET belum dikonfigurasi');
+    return res.status(500).json({ message: 'Konfigurasi autentikasi server tidak lengkap' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded || !decoded.id) {
+      return res.status(401).json({ message: 'User tidak valid' });
+    }
+
+    const user = await User.scope('withCredentials').findByPk(decoded.id);
+    if (!user || user.token_version !== decoded.token_version) {
+      return res.status(401).json({ message: 'Token sudah tidak berlaku, silakan login kembali' });
+    }
+
+    req.user = {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token sudah kedaluwarsa' });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ message: 'Token tidak valid' });
+    }
+
+    console.error('Error verifying token:', error);
+    return res.status(500).json({ message: 'Gagal memverifikasi user' });
+  }
+};
+
+/**
+ * Middleware untuk membatasi akses berdasarkan role user
+ * Harus dipasang setelah requireAuth
+ * @param {...string} roles - Role yang diizinkan (misal: 'admin')
+ */
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'User belum terautentikasi' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Tidak memiliki akses ke resource ini' });
+  }
+
+  next();
+};
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Jam operasional mingguan, dibagi per periode layanan (misal: lunch, dinner)
+const BusinessHour = sequelize.define('BusinessHour', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // 0 = Minggu, 1 = Senin, ..., 6 = Sabtu
+  day_of_week: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 6
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'regular'
+  },
+  open_time: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  close_time: {
+    type: DataTypes.TIME,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = BusinessHour;
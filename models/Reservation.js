@@ -1,6 +1,12 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
+const { setTimeRange } = require('../utils/reservationTime');
 const Table = require('./Table');
+const User = require('./User');
+const TableCombination = require('./TableCombination');
+const ReservationTable = require('./ReservationTable');
+const ReservationSeries = require('./ReservationSeries');
+const Zone = require('./Zone');
 
 const Reservation = sequelize.define('Reservation', {
   id: {
@@ -8,9 +14,12 @@ const Reservation = sequelize.define('Reservation', {
     primaryKey: true,
     autoIncrement: true
   },
+  // Kosong untuk tamu walk-in yang dicatat oleh staf
+  // Tanpa foreign key: reservasi lama menyimpan ID user dari gateway eksternal
+  // yang tidak ada di tabel Users, sehingga sync({ alter: true }) akan gagal
   user_id: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: true
   },
   table_id: {
     type: DataTypes.INTEGER,
@@ -19,6 +28,33 @@ const Reservation = sequelize.define('Reservation', {
       key: 'id'
     }
   },
+  // Diisi jika reservasi memakai kombinasi meja (table_id berisi meja utamanya)
+  combination_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: TableCombination,
+      key: 'id'
+    }
+  },
+  // Diisi jika reservasi adalah bagian dari reservasi rutin
+  series_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: ReservationSeries,
+      key: 'id'
+    }
+  },
+  // Zona yang diminta tamu; dipakai saat meja dipilih otomatis
+  preferred_zone_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Zone,
+      key: 'id'
+    }
+  },
   reservation_date: {
     type: DataTypes.DATEONLY,
     allowNull: false
@@ -32,12 +68,22 @@ const Reservation = sequelize.define('Reservation', {
     allowNull: false,
     defaultValue: 60
   },
+  // Waktu mulai dan selesai lengkap (tanggal + jam), dihitung otomatis dari
+  // reservation_date, reservation_time dan duration (lihat hook di bawah)
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   guest_count: {
     type: DataTypes.INTEGER,
     allowNull: false
   },
   status: {
-    type: DataTypes.ENUM('pending', 'confirmed', 'cancelled', 'completed'),
+    type: DataTypes.ENUM('pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no_show'),
     defaultValue: 'pending'
   },
   notes: {
@@ -47,11 +93,50 @@ const Reservation = sequelize.define('Reservation', {
 }, {
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  indexes: [
+    // Pengecekan bentrok per meja
+    { fields: ['table_id', 'status', 'start_at', 'end_at'] },
+    // Cronjob dan daftar reservasi yang sedang berlangsung
+    { fields: ['status', 'end_at'] }
+  ]
 });
 
+Reservation.addHook('beforeSave', setTimeRange);
+
+/**
+ * Mengisi start_at dan end_at untuk data lama yang belum memilikinya
+ * Dipanggil sekali setelah sinkronisasi database
+ * @returns {Promise<number>} - Jumlah reservasi yang diperbarui
+ */
+Reservation.backfillTimeRange = async () => {
+  const reservations = await Reservation.findAll({
+    where: {
+      [Op.or]: [{ start_at: null }, { end_at: null }]
+    }
+  });
+
+  for (const reservation of reservations) {
+    setTimeRange(reservation);
+    await reservation.save({ fields: ['start_at', 'end_at'], silent: true });
+  }
+
+  return reservations.length;
+};
+
 // Hubungan antar model
 Table.hasMany(Reservation, { foreignKey: 'table_id' });
 Reservation.belongsTo(Table, { foreignKey: 'table_id' });
+User.hasMany(Reservation, { foreignKey: 'user_id', constraints: false });
+Reservation.belongsTo(User, { foreignKey: 'user_id', constraints: false });
+Reservation.belongsTo(TableCombination, { foreignKey: 'combination_id' });
+ReservationSeries.hasMany(Reservation, { foreignKey: 'series_id', as: 'occurrences' });
+Reservation.belongsTo(ReservationSeries, { foreignKey: 'series_id' });
+Reservation.belongsToMany(Table, {
+  through: ReservationTable,
+  foreignKey: 'reservation_id',
+  otherKey: 'table_id',
+  as: 'tables'
+});
 
 module.exports = Reservation;
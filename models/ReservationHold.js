@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Table = require('./Table');
+const User = require('./User');
+const TableCombination = require('./TableCombination');
+const { setTimeRange } = require('../utils/reservationTime');
+const { overlapsRange } = require('../utils/reservationQuery');
+
+// Penahanan slot sementara selama user mengisi form booking
+// Hold yang masih berlaku dianggap bentrok bagi semua user kecuali pemiliknya
+const ReservationHold = sequelize.define('ReservationHold', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: 'reservation_hold_token_unique',
+    defaultValue: () => crypto.randomBytes(24).toString('hex')
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  // Meja utama; untuk kombinasi meja, semua meja di combination_id ikut ditahan
+  table_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Table,
+      key: 'id'
+    }
+  },
+  combination_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: TableCombination,
+      key: 'id'
+    }
+  },
+  reservation_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  reservation_time: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  guest_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Dihitung otomatis seperti pada Reservation (lihat hook di bawah); hook beforeSave
+  // berjalan setelah validasi, jadi kolom ini tidak boleh divalidasi sebagai NOT NULL
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['table_id', 'start_at', 'end_at'] },
+    { fields: ['expires_at'] }
+  ]
+});
+
+ReservationHold.addHook('beforeSave', setTimeRange);
+
+// Hubungan antar model
+ReservationHold.belongsTo(User, { foreignKey: 'user_id' });
+ReservationHold.belongsTo(Table, { foreignKey: 'table_id' });
+ReservationHold.belongsTo(TableCombination, { foreignKey: 'combination_id' });
+
+/**
+ * Kondisi where untuk hold yang masih berlaku dan bukan milik user tertentu
+ * @param {Object} options - { user_id (dikecualikan), hold_token (dikecualikan) }
+ * @returns {Object}
+ */
+ReservationHold.liveCondition = (options = {}) => {
+  const conditions = [{ expires_at: { [Op.gt]: new Date() } }];
+
+  if (options.user_id) {
+    conditions.push({ user_id: { [Op.ne]: options.user_id } });
+  }
+  if (options.hold_token) {
+    conditions.push({ token: { [Op.ne]: options.hold_token } });
+  }
+
+  return { [Op.and]: conditions };
+};
+
+/**
+ * Mencari hold milik user lain yang memakai salah satu meja pada rentang waktu tertentu
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {string} start - Datetime mulai (format: YYYY-MM-DD HH:MM:SS)
+ * @param {string} end - Datetime selesai (format: YYYY-MM-DD HH:MM:SS)
+ * @param {Object} options - { user_id, hold_token, transaction }
+ * @returns {Promise<ReservationHold|null>}
+ */
+ReservationHold.findConflicting = async (tableIds, start, end, options = {}) => {
+  // Kombinasi yang memakai salah satu meja juga dianggap menahan meja tersebut
+  const combinations = await TableCombination.findAll({
+    attributes: ['id'],
+    include: [{
+      model: Table,
+      as: 'tables',
+      attributes: [],
+      where: { id: { [Op.in]: tableIds } },
+      through: { attributes: [] }
+    }],
+    transaction: options.transaction
+  });
+
+  return ReservationHold.findOne({
+    where: {
+      [Op.and]: [
+        ReservationHold.liveCondition(options),
+        {
+          [Op.or]: [
+            { table_id: { [Op.in]: tableIds } },
+            { combination_id: { [Op.in]: combinations.map((combination) => combination.id) } }
+          ]
+        },
+        overlapsRange(start, end)
+      ]
+    },
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Menghapus hold yang sudah kedaluwarsa
+ * @returns {Promise<number>} - Jumlah hold yang dihapus
+ */
+ReservationHold.destroyExpired = () => {
+  return ReservationHold.destroy({
+    where: { expires_at: { [Op.lte]: new Date() } }
+  });
+};
+
+module.exports = ReservationHold;
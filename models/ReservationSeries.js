@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const User = require('./User');
+
+// Aturan pengulangan reservasi rutin (misal setiap Selasa pukul 12:00)
+// Setiap kejadian disimpan sebagai baris Reservation dengan series_id yang sama
+const ReservationSeries = sequelize.define('ReservationSeries', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'monthly'),
+    allowNull: false
+  },
+  // Setiap berapa hari/minggu/bulan
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // Salah satu dari until (tanggal terakhir) atau count (jumlah kejadian) harus diisi
+  until: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+ReservationSeries.belongsTo(User, { foreignKey: 'user_id' });
+
+module.exports = ReservationSeries;
@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Reservation = require('./Reservation');
+const User = require('./User');
+
+// Riwayat perubahan status reservasi (siapa, kapan, dari status apa ke status apa, dan alasannya)
+const ReservationStatusHistory = sequelize.define('ReservationStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reservation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Reservation,
+      key: 'id'
+    }
+  },
+  // Kosong untuk pencatatan saat reservasi dibuat
+  from_status: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  to_status: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // User yang mengubah status, kosong jika dilakukan oleh sistem (cronjob)
+  changed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  // Peran pelaku saat perubahan: admin, owner (pemilik reservasi) atau system
+  actor_role: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    { fields: ['reservation_id', 'created_at'] }
+  ]
+});
+
+Reservation.hasMany(ReservationStatusHistory, { foreignKey: 'reservation_id', as: 'statusHistory' });
+ReservationStatusHistory.belongsTo(Reservation, { foreignKey: 'reservation_id' });
+ReservationStatusHistory.belongsTo(User, { foreignKey: 'changed_by', as: 'actor' });
+
+module.exports = ReservationStatusHistory;
@@ -0,0 +1,58 @@
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Table = require('./Table');
+
+// Daftar meja yang dipakai reservasi gabungan (multi-meja)
+// Reservasi satu meja cukup memakai kolom table_id di Reservation
+const ReservationTable = sequelize.define('ReservationTable', {
+  reservation_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  table_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: Table,
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: false
+});
+
+/**
+ * Mengambil ID reservasi gabungan yang memakai salah satu dari meja yang diberikan
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {Object} options - Opsi query, misalnya { transaction }
+ * @returns {Promise<number[]>} - Daftar ID reservasi
+ */
+ReservationTable.findReservationIds = async (tableIds, options = {}) => {
+  const rows = await ReservationTable.findAll({
+    attributes: ['reservation_id'],
+    where: {
+      table_id: { [Op.in]: tableIds }
+    },
+    transaction: options.transaction
+  });
+
+  return [...new Set(rows.map((row) => row.reservation_id))];
+};
+
+/**
+ * Mengambil ID semua meja yang dipakai sebuah reservasi
+ * @param {Reservation} reservation - Data reservasi
+ * @param {Object} options - Opsi query, misalnya { transaction }
+ * @returns {Promise<number[]>} - Daftar ID meja (minimal berisi table_id)
+ */
+ReservationTable.findTableIds = async (reservation, options = {}) => {
+  const rows = await ReservationTable.findAll({
+    where: { reservation_id: reservation.id },
+    order: [['table_id', 'ASC']],
+    transaction: options.transaction
+  });
+
+  return rows.length > 0 ? rows.map((row) => row.table_id) : [reservation.table_id];
+};
+
+module.exports = ReservationTable;
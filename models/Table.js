@@ -1,5 +1,7 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
+const User = require('./User');
+const Zone = require('./Zone');
 
 const Table = sequelize.define('Table', {
   id: {
@@ -16,9 +18,77 @@ const Table = sequelize.define('Table', {
     type: DataTypes.INTEGER,
     allowNull: false
   },
+  // Jumlah tamu minimal agar meja dipilih otomatis (misal meja 6 orang tidak untuk 1 orang)
+  min_capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  zone_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Zone,
+      key: 'id'
+    }
+  },
+  // Data denah: posisi, bentuk dan rotasi (derajat) meja di dalam zona
+  position_x: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  position_y: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  shape: {
+    type: DataTypes.ENUM('square', 'rectangle', 'round'),
+    allowNull: true
+  },
+  rotation: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Fasilitas meja, misal ["window", "outlet"]
+  features: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   status: {
-    type: DataTypes.ENUM('available', 'reserved', 'occupied'),
+    type: DataTypes.ENUM('available', 'reserved', 'occupied', 'cleaning', 'out_of_service'),
     defaultValue: 'available'
+  },
+  // Status yang diatur manual oleh staf; selama override aktif, status tidak dihitung ulang
+  status_override_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status_override_reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Kosong = berlaku sampai override dihapus
+  status_override_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status_override_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  // Meja yang dihapus diarsipkan agar riwayat reservasi tetap utuh
+  archived_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Waktu membersihkan meja setelah reservasi selesai (menit); null = TURNOVER_BUFFER_MINUTES
+  turnover_buffer: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   timestamps: true,
@@ -26,4 +96,115 @@ const Table = sequelize.define('Table', {
   updatedAt: 'updated_at'
 });
 
+Table.belongsTo(User, { foreignKey: 'status_override_by', as: 'overriddenBy' });
+Table.belongsTo(Zone, { foreignKey: 'zone_id' });
+Zone.hasMany(Table, { foreignKey: 'zone_id', as: 'tables' });
+
+// Status dan bentuk meja yang valid
+Table.STATUSES = Table.rawAttributes.status.values;
+Table.SHAPES = Table.rawAttributes.shape.values;
+
+// Jeda default antar reservasi di meja yang sama untuk membersihkan meja (menit)
+Table.TURNOVER_BUFFER_MINUTES = parseInt(process.env.TURNOVER_BUFFER_MINUTES, 10) || 0;
+
+/**
+ * Jeda antar reservasi untuk meja ini (pengaturan meja, atau default global)
+ * @returns {number} - Menit
+ */
+Table.prototype.getTurnoverBuffer = function () {
+  if (this.turnover_buffer !== null && this.turnover_buffer !== undefined) {
+    return this.turnover_buffer;
+  }
+
+  return Table.TURNOVER_BUFFER_MINUTES;
+};
+
+/**
+ * Cek apakah status meja sedang diatur manual (override belum dihapus dan belum kedaluwarsa)
+ * @param {Date} now - Waktu acuan (default: sekarang)
+ * @returns {boolean}
+ */
+Table.prototype.hasActiveOverride = function (now = new Date()) {
+  if (!this.status_override_at) {
+    return false;
+  }
+
+  return !this.status_override_until || new Date(this.status_override_until) > now;
+};
+
+/**
+ * Cek apakah meja out_of_service pada waktu tertentu. Masa out_of_service berlaku sejak sekarang
+ * sampai status_override_until (tanpa batas jika kosong). Status manual lain (available,
+ * occupied, reserved) hanya berlaku untuk status meja saat ini, bukan untuk booking ke depan
+ * @param {Date} at - Waktu mulai booking
+ * @returns {boolean}
+ */
+Table.prototype.isOutOfServiceAt = function (at) {
+  if (this.status !== 'out_of_service') {
+    return false;
+  }
+
+  return !this.status_override_until || new Date(this.status_override_until) > new Date(at);
+};
+
+/**
+ * Cek apakah meja boleh dipakai untuk booking yang dimulai pada waktu tertentu:
+ * belum diarsipkan dan tidak sedang out_of_service pada waktu tersebut
+ * @param {Date|null} start - Waktu mulai booking (default: sekarang); null = hanya cek arsip,
+ *   jadwal out_of_service dicek per slot lewat getBusyIntervalsByTable
+ * @returns {boolean}
+ */
+Table.prototype.isBookable = function (start = new Date()) {
+  return !this.archived_at && (start === null || !this.isOutOfServiceAt(start));
+};
+
+/**
+ * Kondisi where untuk meja yang boleh dipakai booking baru (sama dengan isBookable)
+ * Dipakai oleh pencarian meja kandidat: penentuan meja otomatis, walk-in,
+ * pencarian slot, meja kosong dan waitlist
+ * @param {Date|null} start - Waktu mulai booking (default: sekarang); null = hanya cek arsip
+ * @returns {Object}
+ */
+Table.bookableCondition = (start = new Date()) => {
+  if (start === null) {
+    return { archived_at: null };
+  }
+
+  return {
+    [Op.and]: [
+      { archived_at: null },
+      {
+        [Op.or]: [
+          { status: { [Op.ne]: 'out_of_service' } },
+          { status_override_until: { [Op.lte]: start } }
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Kondisi where untuk meja yang cukup untuk jumlah tamu, tanpa meja yang min_capacity-nya
+ * lebih besar dari jumlah tamu (tidak dipilih otomatis)
+ * @param {number} guests - Jumlah tamu
+ * @returns {Object}
+ */
+Table.fitsPartyCondition = (guests) => ({
+  capacity: { [Op.gte]: guests },
+  [Op.or]: [
+    { min_capacity: null },
+    { min_capacity: { [Op.lte]: guests } }
+  ]
+});
+
+/**
+ * Mengosongkan data override (status perlu dihitung ulang setelahnya)
+ */
+Table.prototype.clearOverride = function () {
+  this.status_override_at = null;
+  this.status_override_reason = null;
+  this.status_override_until = null;
+  this.status_override_by = null;
+};
+
 module.exports = Table;
\ No newline at end of file
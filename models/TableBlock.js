@@ -0,0 +1,148 @@
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+const Table = require('./Table');
+const User = require('./User');
+const { overlapsRange } = require('../utils/reservationQuery');
+
+// Blokir meja (atau seluruh ruangan) pada rentang waktu tertentu,
+// misalnya untuk acara privat, perbaikan atau sesi foto
+const TableBlock = sequelize.define('TableBlock', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // true = seluruh ruangan (semua meja, termasuk meja yang ditambahkan kemudian)
+  all_tables: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['start_at', 'end_at'] }
+  ]
+});
+
+// Meja yang diblokir (kosong jika all_tables)
+const TableBlockMember = sequelize.define('TableBlockMember', {
+  block_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: TableBlock,
+      key: 'id'
+    }
+  },
+  table_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: Table,
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: false
+});
+
+// Hubungan antar model
+TableBlock.belongsToMany(Table, {
+  through: TableBlockMember,
+  foreignKey: 'block_id',
+  otherKey: 'table_id',
+  as: 'tables'
+});
+Table.belongsToMany(TableBlock, {
+  through: TableBlockMember,
+  foreignKey: 'table_id',
+  otherKey: 'block_id',
+  as: 'blocks'
+});
+TableBlock.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+
+/**
+ * Kondisi where untuk blokir yang mengenai salah satu meja
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>}
+ */
+TableBlock.tablesCondition = async (tableIds, options = {}) => {
+  const members = await TableBlockMember.findAll({
+    where: { table_id: { [Op.in]: tableIds } },
+    transaction: options.transaction
+  });
+
+  return {
+    [Op.or]: [
+      { all_tables: true },
+      { id: { [Op.in]: [...new Set(members.map((member) => member.block_id))] } }
+    ]
+  };
+};
+
+/**
+ * Mencari blokir yang mengenai salah satu meja pada rentang waktu tertentu
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {string} start - Datetime mulai (format: YYYY-MM-DD HH:MM:SS)
+ * @param {string} end - Datetime selesai (format: YYYY-MM-DD HH:MM:SS)
+ * @param {Object} options - { transaction }
+ * @returns {Promise<TableBlock|null>}
+ */
+TableBlock.findConflicting = async (tableIds, start, end, options = {}) => {
+  return TableBlock.findOne({
+    where: {
+      [Op.and]: [
+        await TableBlock.tablesCondition(tableIds, options),
+        overlapsRange(start, end)
+      ]
+    },
+    order: [['start_at', 'ASC'], ['id', 'ASC']],
+    transaction: options.transaction
+  });
+};
+
+/**
+ * ID meja yang sedang diblokir pada waktu tertentu
+ * @param {Date} at - Waktu acuan
+ * @returns {Promise<{allTables: boolean, tableIds: number[]}>}
+ */
+TableBlock.findBlockedTableIds = async (at = new Date()) => {
+  const blocks = await TableBlock.findAll({
+    where: {
+      start_at: { [Op.lte]: at },
+      end_at: { [Op.gt]: at }
+    },
+    include: [{ model: Table, as: 'tables', attributes: ['id'], through: { attributes: [] } }]
+  });
+
+  return {
+    allTables: blocks.some((block) => block.all_tables),
+    tableIds: [...new Set(blocks.flatMap((block) => block.tables.map((table) => table.id)))]
+  };
+};
+
+module.exports = TableBlock;
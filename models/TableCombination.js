@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Table = require('./Table');
+
+// Kombinasi meja yang boleh digabung untuk rombongan besar (didefinisikan admin)
+const TableCombination = sequelize.define('TableCombination', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Kapasitas gabungan; jika kosong, dihitung dari jumlah kapasitas semua meja
+  capacity: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+// Anggota kombinasi (meja-meja yang digabung)
+const TableCombinationMember = sequelize.define('TableCombinationMember', {
+  combination_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: TableCombination,
+      key: 'id'
+    }
+  },
+  table_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    references: {
+      model: Table,
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: false
+});
+
+// Hubungan antar model
+TableCombination.belongsToMany(Table, {
+  through: TableCombinationMember,
+  foreignKey: 'combination_id',
+  otherKey: 'table_id',
+  as: 'tables'
+});
+Table.belongsToMany(TableCombination, {
+  through: TableCombinationMember,
+  foreignKey: 'table_id',
+  otherKey: 'combination_id',
+  as: 'combinations'
+});
+
+/**
+ * Kapasitas kombinasi: nilai capacity jika diisi, selain itu jumlah kapasitas meja
+ * Membutuhkan relasi 'tables' sudah di-include
+ * @returns {number}
+ */
+TableCombination.prototype.getSeatingCapacity = function () {
+  if (this.capacity) {
+    return this.capacity;
+  }
+
+  return (this.tables || []).reduce((total, table) => total + table.capacity, 0);
+};
+
+module.exports = TableCombination;
@@ -0,0 +1,100 @@
+const bcrypt = require('bcrypt');
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const User = sequelize.define('User', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: 'user_email_unique',
+    validate: {
+      isEmail: true
+    }
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  password: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.ENUM('user', 'admin'),
+    defaultValue: 'user'
+  },
+  // Dinaikkan setiap logout agar semua token lama tidak berlaku lagi
+  token_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Jumlah reservasi yang ditandai no_show (tamu tidak datang)
+  no_show_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  // Hash password tidak pernah ikut terkirim kecuali diminta secara eksplisit
+  defaultScope: {
+    attributes: { exclude: ['password', 'token_version'] }
+  },
+  scopes: {
+    withCredentials: {
+      attributes: { include: ['password', 'token_version'] }
+    }
+  }
+});
+
+User.SALT_ROUNDS = 10;
+
+// Panjang password minimal saat registrasi (dan untuk akun admin dari .env)
+User.MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Membuat akun admin dari ADMIN_EMAIL dan ADMIN_PASSWORD (opsional ADMIN_NAME) di .env,
+ * atau menjadikan user dengan email tersebut admin jika sudah terdaftar.
+ * Registrasi publik selalu membuat role user, jadi admin pertama dibuat lewat fungsi ini.
+ * Dipanggil sekali setelah sinkronisasi database
+ * @returns {Promise<{user: User, created: boolean}|null>} - null jika ADMIN_EMAIL/ADMIN_PASSWORD tidak diisi
+ */
+User.seedAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    return null;
+  }
+
+  if (ADMIN_PASSWORD.length < User.MIN_PASSWORD_LENGTH) {
+    throw new Error(`ADMIN_PASSWORD minimal ${User.MIN_PASSWORD_LENGTH} karakter`);
+  }
+
+  const [user, created] = await User.findOrCreate({
+    where: { email: ADMIN_EMAIL },
+    defaults: {
+      name: ADMIN_NAME || 'Admin',
+      password: await bcrypt.hash(ADMIN_PASSWORD, User.SALT_ROUNDS),
+      role: 'admin'
+    }
+  });
+
+  if (!created && user.role !== 'admin') {
+    await user.update({ role: 'admin' });
+  }
+
+  return { user, created };
+};
+
+module.exports = User;
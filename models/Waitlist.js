@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+const Table = require('./Table');
+const Reservation = require('./Reservation');
+
+// Antrean tamu yang menunggu meja kosong (walk-in atau slot yang sudah penuh)
+const Waitlist = sequelize.define('Waitlist', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  party_size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Perkiraan waktu tunggu (menit) yang disampaikan ke tamu saat masuk antrean
+  quoted_wait: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // waiting: masih menunggu, notified: ada meja yang cocok dan tamu perlu dipanggil,
+  // seated: sudah duduk (lihat reservation_id), removed: keluar dari antrean
+  status: {
+    type: DataTypes.ENUM('waiting', 'notified', 'seated', 'removed'),
+    allowNull: false,
+    defaultValue: 'waiting'
+  },
+  // Meja yang baru kosong saat tamu ditandai notified
+  notified_table_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Table,
+      key: 'id'
+    }
+  },
+  notified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Reservasi walk-in yang dibuat saat tamu didudukkan
+  reservation_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Reservation,
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { fields: ['status', 'created_at'] }
+  ]
+});
+
+// Hubungan antar model
+Waitlist.belongsTo(Table, { foreignKey: 'notified_table_id', as: 'notifiedTable' });
+Waitlist.belongsTo(Reservation, { foreignKey: 'reservation_id' });
+
+module.exports = Waitlist;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Area makan di denah ruangan (misal indoor, teras, smoking, VIP)
+const Zone = sequelize.define('Zone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: 'zone_name_unique'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Urutan tampil di aplikasi host
+  sort_order: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = Zone;
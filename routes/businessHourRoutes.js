@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const businessHourController = require('../controllers/businessHourController');
+const { requireAuth, requireRole } = require('../middleware/authMiddleware');
+
+
+// Public routes
+router.get('/', businessHourController.getBusinessHours);
+
+// Protected routes (admin only)
+router.post('/closures', requireAuth, requireRole('admin'), businessHourController.createClosure);
+router.delete('/closures/:id', requireAuth, requireRole('admin'), businessHourController.deleteClosure);
+router.post('/', requireAuth, requireRole('admin'), businessHourController.createBusinessHour);
+router.put('/:id', requireAuth, requireRole('admin'), businessHourController.updateBusinessHour);
+router.delete('/:id', requireAuth, requireRole('admin'), businessHourController.deleteBusinessHour);
+
+module.exports = router;
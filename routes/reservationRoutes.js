@@ -1,22 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const reservationController = require('../controllers/reservationController');
+const { requireAuth, requireRole } = require('../middleware/authMiddleware');
 
 
 // Protected routes
 // Semua route di bawah ini memerlukan autentikasi
+router.use(requireAuth);
+
+// Endpoint untuk cek ketersediaan waktu reservasi
+router.post('/check-availability', reservationController.checkAvailability);
+router.get('/availability', reservationController.getAvailableSlots);
+router.get('/ongoing', requireRole('admin'), reservationController.getOngoingReservations);
+
+// Hold slot sementara selama user mengisi form booking
+router.post('/holds', reservationController.createHold);
+router.delete('/holds/:token', reservationController.releaseHold);
+
+// Tamu walk-in yang dicatat oleh staf
+router.get('/walk-ins/available', requireRole('admin'), reservationController.getWalkInTables);
+router.post('/walk-ins', requireRole('admin'), reservationController.createWalkIn);
 
 // Endpoint reservasi
 router.post('/', reservationController.createReservation);
-router.get('/', reservationController.getAllReservations);
+router.get('/', requireRole('admin'), reservationController.getAllReservations);
 router.get('/user', reservationController.getUserReservations);
 router.get('/:id', reservationController.getReservationById);
+router.get('/:id/history', reservationController.getReservationHistory);
 router.put('/:id', reservationController.updateReservation); // Tambahkan route PUT untuk update data
 router.patch('/:id/status', reservationController.updateReservationStatus);
+router.post('/:id/move', requireRole('admin'), reservationController.moveReservation);
+router.post('/:id/swap', requireRole('admin'), reservationController.swapReservations);
 router.delete('/:id', reservationController.cancelReservation);
 
-// Endpoint untuk cek ketersediaan waktu reservasi
-router.post('/check-availability', reservationController.checkAvailability);
-router.get('/ongoing', reservationController.getOngoingReservations);
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
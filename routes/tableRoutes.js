@@ -1,16 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const tableController = require('../controllers/tableController');
+const tableCombinationController = require('../controllers/tableCombinationController');
+const tableBlockController = require('../controllers/tableBlockController');
+const { requireAuth, requireRole } = require('../middleware/authMiddleware');
 
 
 // Public routes
 router.get('/', tableController.getAllTables);
 router.get('/available', tableController.getAvailableTables);
+router.get('/combinations', tableCombinationController.getAllCombinations);
+router.get('/timeline', requireAuth, requireRole('admin'), tableController.getTimeline);
+router.get('/overrides', requireAuth, requireRole('admin'), tableController.getStatusOverrides);
+router.get('/blocks', requireAuth, requireRole('admin'), tableBlockController.getAllBlocks);
+router.get('/blocks/:id', requireAuth, requireRole('admin'), tableBlockController.getBlockById);
 router.get('/:id', tableController.getTableById);
 
 // Protected routes (admin only)
-router.post('/', tableController.createTable);
-router.patch('/:id/status', tableController.updateTableStatus);
-router.delete('/:id',  tableController.deleteTable);
+router.post('/combinations', requireAuth, requireRole('admin'), tableCombinationController.createCombination);
+router.delete('/combinations/:id', requireAuth, requireRole('admin'), tableCombinationController.deleteCombination);
+router.post('/blocks', requireAuth, requireRole('admin'), tableBlockController.createBlock);
+router.put('/blocks/:id', requireAuth, requireRole('admin'), tableBlockController.updateBlock);
+router.delete('/blocks/:id', requireAuth, requireRole('admin'), tableBlockController.deleteBlock);
+router.post('/', requireAuth, requireRole('admin'), tableController.createTable);
+router.patch('/:id/status', requireAuth, requireRole('admin'), tableController.updateTableStatus);
+router.put('/:id', requireAuth, requireRole('admin'), tableController.updateTable);
+router.put('/:id/layout', requireAuth, requireRole('admin'), tableController.updateTableLayout);
+router.delete('/:id/override', requireAuth, requireRole('admin'), tableController.clearStatusOverride);
+router.delete('/:id', requireAuth, requireRole('admin'), tableController.deleteTable);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { requireAuth, requireRole } = require('../middleware/authMiddleware');
+
+
+// Protected routes (admin only)
+// Rombongan didudukkan lewat POST /api/reservations/walk-ins dengan waitlist_id
+router.use(requireAuth, requireRole('admin'));
+
+router.get('/', waitlistController.getWaitlist);
+router.post('/', waitlistController.addToWaitlist);
+router.delete('/:id', waitlistController.removeFromWaitlist);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const zoneController = require('../controllers/zoneController');
+const { requireAuth, requireRole } = require('../middleware/authMiddleware');
+
+
+// Public routes
+router.get('/', zoneController.getAllZones);
+router.get('/:id', zoneController.getZoneById);
+
+// Protected routes (admin only)
+router.post('/', requireAuth, requireRole('admin'), zoneController.createZone);
+router.put('/:id', requireAuth, requireRole('admin'), zoneController.updateZone);
+router.delete('/:id', requireAuth, requireRole('admin'), zoneController.deleteZone);
+
+module.exports = router;
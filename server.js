@@ -5,11 +5,17 @@ require('dotenv').config();
 const { initCronJobs } = require('./cronjobs'); 
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
 const tableRoutes = require('./routes/tableRoutes');
 const reservationRoutes = require('./routes/reservationRoutes');
+const businessHourRoutes = require('./routes/businessHourRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const zoneRoutes = require('./routes/zoneRoutes');
 
 // Import database connection
 const sequelize = require('./config/database');
+const Reservation = require('./models/Reservation');
+const User = require('./models/User');
 
 // Initialize Express app
 const app = express();
@@ -24,8 +30,12 @@ app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/tables', tableRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/business-hours', businessHourRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/zones', zoneRoutes);
 
 // Rute untuk testing
 app.get('/', (req, res) => {
@@ -42,6 +52,18 @@ const PORT = process.env.PORT || 3000;
   try {
     await sequelize.sync({ alter: true });
     console.log('Database synced successfully');
+
+    // Reservasi lama belum memiliki start_at/end_at
+    const backfilled = await Reservation.backfillTimeRange();
+    if (backfilled > 0) {
+      console.log(`Filled start_at/end_at for ${backfilled} reservations`);
+    }
+
+    // Akun admin dari ADMIN_EMAIL dan ADMIN_PASSWORD
+    const admin = await User.seedAdmin();
+    if (admin) {
+      console.log(`Admin account ${admin.user.email} ${admin.created ? 'created' : 'is ready'}`);
+    }
     
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
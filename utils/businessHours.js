@@ -0,0 +1,147 @@
+const BusinessHour = require('../models/BusinessHour');
+const Closure = require('../models/Closure');
+const { MINUTES_PER_DAY, timeToMinutes, minutesToTime, addDays } = require('./reservationTime');
+
+// Kode error untuk reservasi di luar jam operasional
+const CLOSED_DATE = 'CLOSED_DATE';
+const CLOSED_DAY = 'CLOSED_DAY';
+const OUTSIDE_OPENING_HOURS = 'OUTSIDE_OPENING_HOURS';
+
+/**
+ * Mengubah jam operasional menjadi periode dalam menit
+ * Periode yang close_time-nya lebih awal dari open_time berakhir keesokan harinya
+ * @param {BusinessHour} hour - Data jam operasional
+ * @param {number} offset - Geseran menit (misal -1440 untuk periode dari hari sebelumnya)
+ * @returns {{name: string, start: number, end: number}}
+ */
+const toPeriod = (hour, offset = 0) => {
+  const start = timeToMinutes(hour.open_time);
+  let end = timeToMinutes(hour.close_time);
+  if (end <= start) {
+    end += MINUTES_PER_DAY;
+  }
+
+  return { name: hour.name, start: start + offset, end: end + offset };
+};
+
+/**
+ * Mengambil jadwal operasional untuk satu tanggal
+ * Periode malam hari sebelumnya yang berlanjut setelah tengah malam ikut disertakan
+ * (dengan menit negatif), kecuali hari sebelumnya adalah tanggal tutup.
+ * Jika belum ada jam operasional sama sekali, reservasi tidak dibatasi
+ * @param {string} date - Tanggal (format: YYYY-MM-DD)
+ * @param {Object} options - { transaction }
+ * @returns {Promise<{restricted: boolean, closure: Closure|null, periods: Array<{name: string, start: number, end: number}>}>}
+ */
+const getBusinessSchedule = async (date, options = {}) => {
+  const { transaction } = options;
+
+  const closure = await Closure.findOne({ where: { date }, transaction });
+  if (closure) {
+    return { restricted: true, closure, periods: [] };
+  }
+
+  const totalHours = await BusinessHour.count({ transaction });
+  if (totalHours === 0) {
+    return { restricted: false, closure: null, periods: [] };
+  }
+
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const hours = await BusinessHour.findAll({
+    where: { day_of_week: dayOfWeek },
+    order: [['open_time', 'ASC']],
+    transaction
+  });
+  const periods = hours.map((hour) => toPeriod(hour));
+
+  // Periode hari sebelumnya yang melewati tengah malam
+  const previousDate = addDays(date, -1);
+  const previousClosure = await Closure.findOne({ where: { date: previousDate }, transaction });
+  if (!previousClosure) {
+    const previousHours = await BusinessHour.findAll({
+      where: { day_of_week: (dayOfWeek + 6) % 7 },
+      order: [['open_time', 'ASC']],
+      transaction
+    });
+
+    const overnightPeriods = previousHours
+      .map((hour) => toPeriod(hour, -MINUTES_PER_DAY))
+      .filter((period) => period.end > 0);
+    periods.unshift(...overnightPeriods);
+  }
+
+  return {
+    restricted: true,
+    closure: null,
+    periods
+  };
+};
+
+/**
+ * Cek apakah rentang waktu [start, end) berada di dalam salah satu periode layanan
+ * @param {Object} schedule - Hasil getBusinessSchedule
+ * @param {number} start - Menit mulai
+ * @param {number} end - Menit selesai
+ * @returns {boolean}
+ */
+const isWithinSchedule = (schedule, start, end) => {
+  if (!schedule.restricted) {
+    return true;
+  }
+
+  return schedule.periods.some((period) => start >= period.start && end <= period.end);
+};
+
+/**
+ * Cek apakah reservasi dimulai dan selesai di dalam jam operasional
+ * @param {string} reservation_date - Tanggal reservasi (format: YYYY-MM-DD)
+ * @param {string} reservation_time - Waktu mulai reservasi (format: HH:MM:SS)
+ * @param {number} duration - Durasi reservasi dalam menit
+ * @param {Object} options - { transaction }
+ * @returns {Promise<{isOpen: boolean, code?: string, message?: string}>}
+ */
+const checkBusinessHours = async (reservation_date, reservation_time, duration, options = {}) => {
+  const schedule = await getBusinessSchedule(reservation_date, options);
+
+  if (schedule.closure) {
+    return {
+      isOpen: false,
+      code: CLOSED_DATE,
+      message: `Restoran tutup pada tanggal ${reservation_date}${schedule.closure.reason ? ` (${schedule.closure.reason})` : ''}`
+    };
+  }
+
+  if (schedule.restricted && schedule.periods.length === 0) {
+    return {
+      isOpen: false,
+      code: CLOSED_DAY,
+      message: 'Restoran tidak buka pada hari tersebut'
+    };
+  }
+
+  const start = timeToMinutes(reservation_time);
+  const end = start + parseInt(duration, 10);
+
+  if (!isWithinSchedule(schedule, start, end)) {
+    const openPeriods = schedule.periods
+      .map((period) => `${period.name} ${minutesToTime(period.start)}-${minutesToTime(period.end)}`)
+      .join(', ');
+
+    return {
+      isOpen: false,
+      code: OUTSIDE_OPENING_HOURS,
+      message: `Reservasi harus dimulai dan selesai dalam jam operasional (${openPeriods})`
+    };
+  }
+
+  return { isOpen: true };
+};
+
+module.exports = {
+  CLOSED_DATE,
+  CLOSED_DAY,
+  OUTSIDE_OPENING_HOURS,
+  getBusinessSchedule,
+  isWithinSchedule,
+  checkBusinessHours
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+// Konfigurasi logging
+const logDir = path.join(__dirname, '../logs');
+const logFilePath = path.join(logDir, 'cronjob.log');
+
+// Memastikan direktori log ada
+if (!fs.existsSync(logDir)) {
+  fs.mkdirSync(logDir, { recursive: true });
+}
+
+/**
+ * Fungsi untuk menulis log ke file dan console
+ * @param {string} message - Pesan log
+ */
+const logMessage = (message) => {
+  const timestamp = moment().format('YYYY-MM-DD HH:mm:ss');
+  const logEntry = `[${timestamp}] ${message}\n`;
+
+  // Log ke console
+  console.log(logEntry.trim());
+
+  // Log ke file
+  fs.appendFileSync(logFilePath, logEntry);
+};
+
+module.exports = {
+  logMessage
+};
@@ -0,0 +1,110 @@
+const { isValidDate, addDays } = require('./reservationTime');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Batas jumlah kejadian dalam satu seri reservasi rutin
+const MAX_OCCURRENCES = parseInt(process.env.MAX_RECURRING_OCCURRENCES, 10) || 52;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Menambah bulan pada tanggal dengan hari yang sama
+ * @returns {string|null} - Tanggal baru, atau null jika hari tersebut tidak ada di bulan tujuan (misal 31 Februari)
+ */
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const totalMonths = year * 12 + (month - 1) + months;
+  const result = `${Math.floor(totalMonths / 12)}-${pad((totalMonths % 12) + 1)}-${pad(day)}`;
+  return isValidDate(result) ? result : null;
+};
+
+/**
+ * Tanggal kejadian ke-n (dimulai dari 0) menurut aturan pengulangan
+ * @returns {string|null}
+ */
+const nthOccurrence = (startDate, frequency, interval, n) => {
+  if (frequency === 'daily') {
+    return addDays(startDate, n * interval);
+  }
+  if (frequency === 'weekly') {
+    return addDays(startDate, n * interval * 7);
+  }
+  return addMonths(startDate, n * interval);
+};
+
+/**
+ * Menyusun tanggal semua kejadian dalam seri, dimulai dari startDate
+ * Kejadian bulanan pada tanggal yang tidak ada di bulan tersebut (misal 31) dilewati
+ * @param {string} startDate - Tanggal kejadian pertama (format: YYYY-MM-DD)
+ * @param {Object} rule - { frequency, interval, until, count }
+ * @returns {string[]} - Daftar tanggal (maksimal MAX_OCCURRENCES + 1 agar kelebihan bisa dideteksi)
+ */
+const generateOccurrenceDates = (startDate, rule) => {
+  const interval = parseInt(rule.interval, 10) || 1;
+  const count = rule.count ? parseInt(rule.count, 10) : null;
+  const dates = [];
+
+  for (let n = 0; dates.length <= MAX_OCCURRENCES; n++) {
+    const date = nthOccurrence(startDate, rule.frequency, interval, n);
+
+    // Bulanan: berhenti jika sudah terlalu jauh tanpa tanggal yang valid
+    if (n > (MAX_OCCURRENCES + 1) * 12) {
+      break;
+    }
+    if (!date) {
+      continue;
+    }
+    if ((rule.until && date > rule.until) || (count && dates.length >= count)) {
+      break;
+    }
+
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Validasi aturan pengulangan
+ * @param {Object} rule - { frequency, interval, until, count }
+ * @param {string} startDate - Tanggal kejadian pertama
+ * @returns {string|null} - Pesan error atau null jika valid
+ */
+const validateRecurrence = (rule, startDate) => {
+  if (!rule || typeof rule !== 'object') {
+    return 'recurrence harus berupa object { frequency, interval, until | count }';
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `recurrence.frequency harus salah satu dari: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (rule.interval !== undefined && !(parseInt(rule.interval, 10) >= 1)) {
+    return 'recurrence.interval harus bilangan bulat minimal 1';
+  }
+
+  if (!rule.until && !rule.count) {
+    return 'recurrence.until atau recurrence.count harus diisi';
+  }
+
+  if (rule.until && (!isValidDate(rule.until) || rule.until < startDate)) {
+    return 'recurrence.until harus berformat YYYY-MM-DD dan tidak sebelum reservation_date';
+  }
+
+  if (rule.count && !(parseInt(rule.count, 10) >= 1 && parseInt(rule.count, 10) <= MAX_OCCURRENCES)) {
+    return `recurrence.count harus antara 1 dan ${MAX_OCCURRENCES}`;
+  }
+
+  if (generateOccurrenceDates(startDate, rule).length > MAX_OCCURRENCES) {
+    return `Satu seri reservasi maksimal ${MAX_OCCURRENCES} kejadian`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  FREQUENCIES,
+  MAX_OCCURRENCES,
+  generateOccurrenceDates,
+  validateRecurrence
+};
@@ -0,0 +1,194 @@
+const sequelize = require('../config/database');
+const Reservation = require('../models/Reservation');
+const ReservationStatusHistory = require('../models/ReservationStatusHistory');
+const User = require('../models/User');
+
+// Status yang tidak lagi memakai meja (tidak dihitung bentrok)
+const INACTIVE_STATUSES = ['cancelled', 'completed', 'no_show'];
+
+// Status yang sedang atau akan memakai meja pada jadwalnya
+const TABLE_HOLDING_STATUSES = ['confirmed', 'seated'];
+
+// Kode error transisi status
+const INVALID_STATUS = 'INVALID_STATUS';
+const INVALID_TRANSITION = 'INVALID_TRANSITION';
+const TRANSITION_NOT_ALLOWED = 'TRANSITION_NOT_ALLOWED';
+
+/**
+ * Transisi status yang diizinkan beserta peran yang boleh melakukannya:
+ * - admin: user dengan role admin
+ * - owner: pemilik reservasi
+ * - system: cronjob
+ * Alur normal: pending -> confirmed -> seated -> completed.
+ * Reservasi confirmed yang tidak pernah ditandai seated menjadi no_show,
+ * bukan completed (lihat cronjobs/updateReservationStatus.js).
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin'],
+    cancelled: ['admin', 'owner', 'system']
+  },
+  confirmed: {
+    seated: ['admin'],
+    cancelled: ['admin', 'owner'],
+    no_show: ['admin', 'system']
+  },
+  seated: {
+    completed: ['admin', 'system']
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Menentukan peran pelaku terhadap sebuah reservasi
+ * @param {Object|null} user - req.user, atau null untuk sistem
+ * @param {Reservation} reservation - Data reservasi
+ * @returns {string|null} - admin, owner, system, atau null jika tidak berhak sama sekali
+ */
+const getActorRole = (user, reservation) => {
+  if (!user) {
+    return 'system';
+  }
+
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+
+  if (user.id === reservation.user_id) {
+    return 'owner';
+  }
+
+  return null;
+};
+
+/**
+ * Daftar status tujuan yang boleh dipilih pelaku dari status reservasi saat ini
+ * @param {Reservation} reservation - Data reservasi
+ * @param {string} actorRole - Hasil getActorRole
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (reservation, actorRole) => {
+  const transitions = TRANSITIONS[reservation.status] || {};
+  return Object.keys(transitions).filter((status) => transitions[status].includes(actorRole));
+};
+
+/**
+ * Mencatat perubahan status ke riwayat reservasi
+ * @param {Reservation} reservation - Data reservasi (status sudah berisi status baru)
+ * @param {string|null} fromStatus - Status sebelumnya (null saat reservasi dibuat)
+ * @param {Object} options - { user, reason, transaction }
+ * @returns {Promise<ReservationStatusHistory>}
+ */
+const recordStatusChange = (reservation, fromStatus, options = {}) => {
+  const { user = null, reason = null, transaction } = options;
+
+  return ReservationStatusHistory.create({
+    reservation_id: reservation.id,
+    from_status: fromStatus,
+    to_status: reservation.status,
+    changed_by: user ? user.id : null,
+    actor_role: getActorRole(user, reservation) || 'user',
+    reason
+  }, { transaction });
+};
+
+/**
+ * Mengubah status reservasi sesuai aturan transisi lalu mencatatnya ke riwayat
+ * Perubahan status, riwayat dan jumlah no-show user disimpan dalam satu transaksi
+ * @param {Reservation} reservation - Data reservasi
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options - { user (null untuk sistem), reason, transaction }
+ * @returns {Promise<{success: boolean, status?: number, code?: string, message?: string, history?: ReservationStatusHistory}>}
+ */
+const transitionReservation = async (reservation, toStatus, options = {}) => {
+  const { user = null, reason = null } = options;
+  const fromStatus = reservation.status;
+
+  if (!STATUSES.includes(toStatus)) {
+    return {
+      success: false,
+      status: 400,
+      code: INVALID_STATUS,
+      message: `Status tidak valid. Pilihan: ${STATUSES.join(', ')}`
+    };
+  }
+
+  const allowedRoles = (TRANSITIONS[fromStatus] || {})[toStatus];
+  if (!allowedRoles) {
+    return {
+      success: false,
+      status: 400,
+      code: INVALID_TRANSITION,
+      message: `Status reservasi tidak dapat diubah dari ${fromStatus} ke ${toStatus}`
+    };
+  }
+
+  const actorRole = getActorRole(user, reservation);
+  if (!allowedRoles.includes(actorRole)) {
+    return {
+      success: false,
+      status: 403,
+      code: TRANSITION_NOT_ALLOWED,
+      message: `Tidak berhak mengubah status reservasi dari ${fromStatus} ke ${toStatus}`
+    };
+  }
+
+  const run = async (transaction) => {
+    reservation.status = toStatus;
+    await reservation.save({ transaction });
+    const history = await recordStatusChange(reservation, fromStatus, { user, reason, transaction });
+
+    if (toStatus === 'no_show' && reservation.user_id) {
+      await User.increment('no_show_count', { where: { id: reservation.user_id }, transaction });
+    }
+
+    return { success: true, history };
+  };
+
+  return options.transaction ? run(options.transaction) : sequelize.transaction(run);
+};
+
+/**
+ * Mengubah status reservasi hasil query tanpa lock (mis. oleh cronjob)
+ * Reservasi dibaca ulang dengan lock di dalam transaksi dan hanya diubah jika masih
+ * memenuhi kondisi where, sehingga perubahan staf di antara query dan update tidak tertimpa
+ * @param {number} reservationId - ID reservasi
+ * @param {Object} where - Kondisi yang harus masih berlaku (mis. status dan batas waktu)
+ * @param {string} toStatus - Status tujuan
+ * @param {Object} options - { user (null untuk sistem), reason }
+ * @returns {Promise<{success: boolean, reservation?: Reservation, status?: number, code?: string, message?: string, history?: ReservationStatusHistory}>}
+ */
+const transitionReservationIfStill = async (reservationId, where, toStatus, options = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const reservation = await Reservation.findOne({
+      where: { ...where, id: reservationId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!reservation) {
+      return { success: false };
+    }
+
+    const result = await transitionReservation(reservation, toStatus, { ...options, transaction });
+    return { ...result, reservation };
+  });
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  INACTIVE_STATUSES,
+  TABLE_HOLDING_STATUSES,
+  INVALID_STATUS,
+  INVALID_TRANSITION,
+  TRANSITION_NOT_ALLOWED,
+  getActorRole,
+  getAllowedTransitions,
+  recordStatusChange,
+  transitionReservation,
+  transitionReservationIfStill
+};
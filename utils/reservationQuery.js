@@ -0,0 +1,73 @@
+const { Op } = require('sequelize');
+const { toDate } = require('./reservationTime');
+
+/**
+ * Potongan kondisi where untuk query reservasi berdasarkan rentang waktu.
+ * Memakai kolom start_at/end_at (lihat models/Reservation.js) sehingga query
+ * bisa memakai index, reservasi yang melewati tengah malam terdeteksi dengan benar,
+ * dan tidak bergantung pada fungsi SQL milik satu dialect database.
+ * Semua parameter datetime berformat "YYYY-MM-DD HH:MM:SS" (waktu lokal server).
+ */
+
+// Urutan kronologis reservasi
+const CHRONOLOGICAL_ORDER = [['start_at', 'ASC'], ['id', 'ASC']];
+
+/**
+ * Reservasi yang bertabrakan dengan rentang [start, end)
+ */
+const overlapsRange = (start, end) => ({
+  start_at: { [Op.lt]: toDate(end) },
+  end_at: { [Op.gt]: toDate(start) }
+});
+
+/**
+ * Reservasi yang sedang berlangsung pada waktu tertentu (mulai <= waktu < selesai)
+ */
+const activeAt = (dateTime) => ({
+  start_at: { [Op.lte]: toDate(dateTime) },
+  end_at: { [Op.gt]: toDate(dateTime) }
+});
+
+/**
+ * Reservasi yang sudah selesai pada waktu tertentu (selesai <= waktu)
+ */
+const endedBy = (dateTime) => ({
+  end_at: { [Op.lte]: toDate(dateTime) }
+});
+
+/**
+ * Reservasi yang selesai setelah `from` dan paling lambat `to` (from < selesai <= to)
+ */
+const endsBetween = (from, to) => ({
+  end_at: {
+    [Op.gt]: toDate(from),
+    [Op.lte]: toDate(to)
+  }
+});
+
+/**
+ * Reservasi yang sudah dimulai pada waktu tertentu (mulai <= waktu)
+ */
+const startedBy = (dateTime) => ({
+  start_at: { [Op.lte]: toDate(dateTime) }
+});
+
+/**
+ * Reservasi yang dimulai setelah `from` dan paling lambat `to` (from < mulai <= to)
+ */
+const startsBetween = (from, to) => ({
+  start_at: {
+    [Op.gt]: toDate(from),
+    [Op.lte]: toDate(to)
+  }
+});
+
+module.exports = {
+  CHRONOLOGICAL_ORDER,
+  overlapsRange,
+  activeAt,
+  endedBy,
+  endsBetween,
+  startedBy,
+  startsBetween
+};
@@ -0,0 +1,210 @@
+/**
+ * Helper waktu untuk perhitungan jadwal reservasi
+ * Waktu dalam satu hari dinyatakan dalam menit sejak 00:00 tanggal acuan,
+ * sehingga bisa bernilai negatif (hari sebelumnya) atau lebih dari 1440 (hari berikutnya)
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Cek format tanggal YYYY-MM-DD
+ */
+const isValidDate = (date) => {
+  if (!DATE_PATTERN.test(String(date))) {
+    return false;
+  }
+
+  const value = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(value.getTime()) && value.toISOString().startsWith(date);
+};
+
+/**
+ * Cek format waktu HH:MM atau HH:MM:SS
+ */
+const isValidTime = (time) => TIME_PATTERN.test(String(time)) && timeToMinutes(time) < MINUTES_PER_DAY;
+
+/**
+ * Mengubah waktu "HH:MM" atau "HH:MM:SS" menjadi menit sejak 00:00
+ * @param {string} time - Waktu (format: HH:MM[:SS])
+ * @returns {number} - Jumlah menit
+ */
+const timeToMinutes = (time) => {
+  const [hours = 0, minutes = 0, seconds = 0] = String(time).split(':').map(Number);
+  return hours * 60 + minutes + seconds / 60;
+};
+
+/**
+ * Mengubah menit sejak 00:00 menjadi waktu "HH:MM:SS"
+ * Nilai di luar 0-1440 dikembalikan ke jam pada hari tersebut (misal 1500 -> 01:00:00)
+ * @param {number} totalMinutes - Jumlah menit
+ * @returns {string} - Waktu (format: HH:MM:SS)
+ */
+const minutesToTime = (totalMinutes) => {
+  const totalSeconds = Math.round(totalMinutes * 60);
+  const secondsOfDay = ((totalSeconds % (MINUTES_PER_DAY * 60)) + MINUTES_PER_DAY * 60) % (MINUTES_PER_DAY * 60);
+  const hours = Math.floor(secondsOfDay / 3600);
+  const minutes = Math.floor((secondsOfDay % 3600) / 60);
+  const seconds = secondsOfDay % 60;
+  return [hours, minutes, seconds].map(pad).join(':');
+};
+
+/**
+ * Menambah (atau mengurangi) hari pada tanggal
+ * @param {string} date - Tanggal (format: YYYY-MM-DD)
+ * @param {number} days - Jumlah hari
+ * @returns {string} - Tanggal baru (format: YYYY-MM-DD)
+ */
+const addDays = (date, days) => {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().split('T')[0];
+};
+
+/**
+ * Selisih hari antara dua tanggal (dateB - dateA)
+ */
+const diffDays = (dateA, dateB) => {
+  return Math.round((Date.parse(`${dateB}T00:00:00Z`) - Date.parse(`${dateA}T00:00:00Z`)) / 86400000);
+};
+
+/**
+ * Menggabungkan tanggal dan menit (relatif terhadap 00:00 tanggal tersebut)
+ * menjadi datetime "YYYY-MM-DD HH:MM:SS". Menit boleh melewati tengah malam.
+ * @param {string} date - Tanggal (format: YYYY-MM-DD)
+ * @param {number} minutes - Menit sejak 00:00 tanggal tersebut
+ * @returns {string} - Datetime (format: YYYY-MM-DD HH:MM:SS)
+ */
+const toDateTime = (date, minutes) => {
+  const dayOffset = Math.floor(Math.round(minutes * 60) / (MINUTES_PER_DAY * 60));
+  return `${addDays(date, dayOffset)} ${minutesToTime(minutes)}`;
+};
+
+/**
+ * Menggeser datetime sejumlah menit (boleh negatif, boleh melewati pergantian hari)
+ * @param {string} dateTime - Datetime (format: YYYY-MM-DD HH:MM:SS)
+ * @param {number} minutes - Jumlah menit
+ * @returns {string} - Datetime (format: YYYY-MM-DD HH:MM:SS)
+ */
+const addMinutes = (dateTime, minutes) => {
+  const [date, time] = dateTime.split(' ');
+  return toDateTime(date, timeToMinutes(time) + minutes);
+};
+
+/**
+ * Rentang waktu reservasi sebagai datetime, termasuk yang melewati tengah malam
+ * @param {string} reservation_date - Tanggal reservasi (format: YYYY-MM-DD)
+ * @param {string} reservation_time - Waktu mulai reservasi (format: HH:MM:SS)
+ * @param {number} duration - Durasi reservasi dalam menit
+ * @returns {{start: string, end: string}} - Datetime mulai dan selesai (format: YYYY-MM-DD HH:MM:SS)
+ */
+const getReservationRange = (reservation_date, reservation_time, duration) => {
+  const start = timeToMinutes(reservation_time);
+  return {
+    start: toDateTime(reservation_date, start),
+    end: toDateTime(reservation_date, start + parseInt(duration, 10))
+  };
+};
+
+/**
+ * Mengubah datetime lokal "YYYY-MM-DD HH:MM:SS" menjadi objek Date
+ * (dipakai untuk kolom start_at/end_at dan parameter query)
+ * @param {string} dateTime - Datetime (format: YYYY-MM-DD HH:MM:SS)
+ * @returns {Date}
+ */
+const toDate = (dateTime) => new Date(String(dateTime).replace(' ', 'T'));
+
+/**
+ * Menit dari datetimeA ke datetimeB (format: YYYY-MM-DD HH:MM:SS)
+ */
+const diffMinutes = (dateTimeA, dateTimeB) => {
+  const [dateA, timeA] = dateTimeA.split(' ');
+  const [dateB, timeB] = dateTimeB.split(' ');
+  return diffDays(dateA, dateB) * MINUTES_PER_DAY + timeToMinutes(timeB) - timeToMinutes(timeA);
+};
+
+/**
+ * Tanggal dan jam lokal server saat ini
+ * @param {Date} now - Waktu acuan (default: sekarang)
+ * @returns {{date: string, time: string, dateTime: string, minutes: number}}
+ */
+const getCurrentDateTime = (now = new Date()) => {
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = [now.getHours(), now.getMinutes(), now.getSeconds()].map(pad).join(':');
+  return {
+    date,
+    time,
+    dateTime: `${date} ${time}`,
+    minutes: now.getHours() * 60 + now.getMinutes()
+  };
+};
+
+/**
+ * Mengisi start_at dan end_at dari reservation_date, reservation_time dan duration.
+ * Dipakai oleh hook beforeSave pada Reservation dan ReservationHold
+ * @param {Reservation|ReservationHold} record - Data reservasi atau hold
+ */
+const setTimeRange = (record) => {
+  if (!record.reservation_date || !record.reservation_time || !record.duration) {
+    return;
+  }
+
+  const range = getReservationRange(record.reservation_date, record.reservation_time, record.duration);
+  record.start_at = toDate(range.start);
+  record.end_at = toDate(range.end);
+};
+
+/**
+ * Cek apakah dua rentang waktu [start, end) saling bertabrakan
+ * Sama dengan aturan di checkReservationAvailability: reservasi yang berakhir
+ * tepat saat reservasi lain dimulai tidak dianggap bentrok
+ * @returns {boolean}
+ */
+const isOverlapping = (startA, endA, startB, endB) => {
+  return startA < endB && startB < endA;
+};
+
+/**
+ * Mengubah angka dari body atau query ("60" atau 60) menjadi bilangan bulat
+ * @returns {number|null} - Bilangan bulat lebih dari 0, atau null jika tidak valid
+ */
+const toPositiveInteger = (value) => {
+  const number = Number(value);
+  return value !== null && value !== '' && Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Membaca jumlah menit dari environment variable. 0 adalah nilai yang sah,
+ * nilai default hanya dipakai jika variabel kosong, bukan angka atau negatif
+ * @param {string} name - Nama environment variable
+ * @param {number} defaultValue - Nilai default
+ * @returns {number}
+ */
+const getEnvMinutes = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+module.exports = {
+  MINUTES_PER_DAY,
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  addDays,
+  diffDays,
+  toDateTime,
+  addMinutes,
+  getReservationRange,
+  toDate,
+  diffMinutes,
+  getCurrentDateTime,
+  setTimeRange,
+  isOverlapping,
+  toPositiveInteger,
+  getEnvMinutes
+};
@@ -0,0 +1,595 @@
+const { Op, Transaction } = require('sequelize');
+const sequelize = require('../config/database');
+const Reservation = require('../models/Reservation');
+const ReservationHold = require('../models/ReservationHold');
+const ReservationTable = require('../models/ReservationTable');
+const Table = require('../models/Table');
+const TableBlock = require('../models/TableBlock');
+const TableCombination = require('../models/TableCombination');
+const {
+  MINUTES_PER_DAY,
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  diffDays,
+  diffMinutes,
+  toDateTime,
+  addMinutes,
+  getReservationRange,
+  toDate,
+  getCurrentDateTime,
+  isOverlapping
+} = require('./reservationTime');
+const { overlapsRange } = require('./reservationQuery');
+const { refreshTableStatus } = require('./tableStatus');
+const { INACTIVE_STATUSES } = require('./reservationLifecycle');
+const { checkBusinessHours } = require('./businessHours');
+
+/**
+ * Jeda membersihkan meja terbesar di antara beberapa meja
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {Object} options - { transaction }
+ * @returns {Promise<number>} - Menit
+ */
+const getTurnoverBuffer = async (tableIds, options = {}) => {
+  const tables = await Table.findAll({
+    where: { id: { [Op.in]: tableIds } },
+    attributes: ['id', 'turnover_buffer'],
+    transaction: options.transaction
+  });
+
+  return Math.max(0, ...tables.map((table) => table.getTurnoverBuffer()));
+};
+
+/**
+ * Fungsi untuk memeriksa ketersediaan jadwal reservasi
+ * @param {number|number[]} table_id - ID meja yang akan direservasi, atau array ID untuk meja gabungan
+ * @param {string} reservation_date - Tanggal reservasi (format: YYYY-MM-DD)
+ * @param {string} reservation_time - Waktu mulai reservasi (format: HH:MM:SS)
+ * @param {number} duration - Durasi reservasi dalam menit
+ * @param {number|number[]} reservation_id - ID reservasi yang dikecualikan (opsional, untuk kasus update;
+ *   array untuk tukar meja antar dua reservasi)
+ * @param {Object} options - Opsi tambahan: { transaction } saat dipanggil di dalam transaksi booking,
+ *   { user_id, hold_token } agar hold milik user tersebut tidak dianggap bentrok
+ * @returns {Promise<{isAvailable: boolean, message: string}>} - Status ketersediaan dan pesan
+ */
+const checkReservationAvailability = async (table_id, reservation_date, reservation_time, duration, reservation_id = null, options = {}) => {
+  try {
+    // Validasi input
+    if (!table_id || [].concat(table_id).length === 0 || !reservation_date || !reservation_time || !duration) {
+      return {
+        isAvailable: false,
+        message: 'Data reservasi tidak lengkap. table_id, reservation_date, reservation_time, dan duration harus diisi'
+      };
+    }
+
+    if (!isValidDate(reservation_date) || !isValidTime(reservation_time)) {
+      return {
+        isAvailable: false,
+        message: 'Format reservation_date (YYYY-MM-DD) atau reservation_time (HH:MM:SS) tidak valid'
+      };
+    }
+
+    const durationMinutes = parseInt(duration, 10);
+    if (!(durationMinutes > 0 && durationMinutes <= MINUTES_PER_DAY)) {
+      return {
+        isAvailable: false,
+        message: `Durasi reservasi harus antara 1 dan ${MINUTES_PER_DAY} menit`
+      };
+    }
+
+    // Reservasi harus dimulai dan selesai di dalam jam operasional
+    const businessHours = await checkBusinessHours(reservation_date, reservation_time, duration, options);
+    if (!businessHours.isOpen) {
+      return {
+        isAvailable: false,
+        code: businessHours.code,
+        message: businessHours.message
+      };
+    }
+
+    // Konversi ke tipe data yang sesuai jika perlu
+    const tableIds = [].concat(table_id).map((id) => parseInt(id, 10));
+
+    // Rentang waktu yang diminta, bisa melewati tengah malam
+    const requestedRange = getReservationRange(reservation_date, reservation_time, durationMinutes);
+
+    // Meja yang out_of_service pada waktu yang diminta tidak bisa dibooking
+    const unavailableTable = (await Table.findAll({
+      where: { id: { [Op.in]: tableIds } },
+      order: [['id', 'ASC']],
+      transaction: options.transaction
+    })).find((table) => !table.isBookable(toDate(requestedRange.start)));
+
+    if (unavailableTable) {
+      return {
+        isAvailable: false,
+        message: `Meja ${unavailableTable.table_number} sedang tidak dapat dipakai (${unavailableTable.status}${unavailableTable.status_override_reason ? `: ${unavailableTable.status_override_reason}` : ''})`,
+        conflictingTable: {
+          id: unavailableTable.id,
+          table_number: unavailableTable.table_number,
+          status: unavailableTable.status,
+          status_override_reason: unavailableTable.status_override_reason,
+          status_override_until: unavailableTable.status_override_until
+        }
+      };
+    }
+
+    // Reservasi lain tidak boleh berakhir atau dimulai dalam jeda membersihkan meja
+    const turnoverBuffer = await getTurnoverBuffer(tableIds, options);
+    const bufferedStart = addMinutes(requestedRange.start, -turnoverBuffer);
+    const bufferedEnd = addMinutes(requestedRange.end, turnoverBuffer);
+
+    // Reservasi gabungan yang memakai salah satu meja juga dianggap memakai meja tersebut
+    const linkedReservationIds = await ReservationTable.findReservationIds(tableIds, options);
+    
+    // Buat kondisi untuk mencari reservasi yang overlap
+    const whereCondition = {
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { table_id: { [Op.in]: tableIds } },
+            { id: { [Op.in]: linkedReservationIds } }
+          ]
+        },
+        // Reservasi yang sudah ada dimulai sebelum waktu yang diminta berakhir
+        // dan berakhir setelah waktu yang diminta dimulai (termasuk dari/ke hari lain)
+        overlapsRange(bufferedStart, bufferedEnd)
+      ],
+      status: {
+        [Op.notIn]: INACTIVE_STATUSES
+      }
+    };
+    
+    // Jika ini adalah update, exclude reservasi yang sedang diupdate
+    if (reservation_id) {
+      whereCondition.id = {
+        [Op.notIn]: [].concat(reservation_id)
+      };
+    }
+
+    // Cek apakah ada reservasi yang overlap untuk meja yang sama pada waktu tersebut
+    const overlappingReservation = await Reservation.findOne({
+      where: whereCondition,
+      transaction: options.transaction
+    });
+    
+    if (overlappingReservation) {
+      const withinBuffer = !isOverlapping(
+        overlappingReservation.start_at,
+        overlappingReservation.end_at,
+        toDate(requestedRange.start),
+        toDate(requestedRange.end)
+      );
+
+      return {
+        isAvailable: false,
+        message: withinBuffer
+          ? `Waktu reservasi terlalu dekat dengan reservasi lain (jeda membersihkan meja ${turnoverBuffer} menit)`
+          : 'Waktu reservasi bertabrakan dengan reservasi lain',
+        conflictingReservation: overlappingReservation,
+        turnoverBuffer
+      };
+    }
+
+    // Meja yang diblokir (acara privat, perbaikan, dll.) tidak bisa direservasi
+    const conflictingBlock = await TableBlock.findConflicting(
+      tableIds,
+      requestedRange.start,
+      requestedRange.end,
+      options
+    );
+
+    if (conflictingBlock) {
+      return {
+        isAvailable: false,
+        message: `Meja diblokir pada waktu tersebut: ${conflictingBlock.reason}`,
+        conflictingBlock: {
+          id: conflictingBlock.id,
+          reason: conflictingBlock.reason,
+          start_at: conflictingBlock.start_at,
+          end_at: conflictingBlock.end_at,
+          all_tables: conflictingBlock.all_tables
+        }
+      };
+    }
+
+    // Slot yang sedang ditahan user lain selama mengisi form booking juga dianggap bentrok
+    const conflictingHold = await ReservationHold.findConflicting(
+      tableIds,
+      bufferedStart,
+      bufferedEnd,
+      options
+    );
+
+    if (conflictingHold) {
+      return {
+        isAvailable: false,
+        message: 'Slot ini sedang ditahan sementara oleh pelanggan lain',
+        conflictingHold: {
+          table_id: conflictingHold.table_id,
+          combination_id: conflictingHold.combination_id,
+          expires_at: conflictingHold.expires_at
+        }
+      };
+    }
+    
+    return {
+      isAvailable: true,
+      message: 'Waktu reservasi tersedia'
+    };
+    
+  } catch (error) {
+    console.error('Error checking reservation availability:', error);
+
+    // Di dalam transaksi, error harus dilempar agar transaksi di-rollback
+    if (options.transaction) {
+      throw error;
+    }
+
+    return {
+      isAvailable: false,
+      message: `Gagal memeriksa ketersediaan waktu: ${error.message || 'Unknown error'}`
+    };
+  }
+};
+
+/**
+ * Menjalankan proses booking di dalam satu transaksi database.
+ * Pengecekan bentrok dan penyimpanan reservasi dilakukan setelah baris meja
+ * dikunci (lihat lockTables), sehingga dua booking untuk meja yang sama tidak
+ * bisa lolos pengecekan secara bersamaan.
+ * @param {Function} callback - Fungsi async yang menerima transaction
+ * @returns {Promise<*>} - Hasil dari callback
+ */
+const runBookingTransaction = (callback) => {
+  return sequelize.transaction(
+    { isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED },
+    callback
+  );
+};
+
+/**
+ * Mengambil data meja sekaligus mengunci barisnya (SELECT ... FOR UPDATE)
+ * sampai transaksi selesai. Tanpa transaksi, data hanya dibaca.
+ * Baris selalu dikunci berurutan berdasarkan ID untuk menghindari deadlock.
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {Object} transaction - Transaksi Sequelize yang sedang berjalan (opsional)
+ * @returns {Promise<Table[]>} - Data meja yang ditemukan
+ */
+const lockTables = (tableIds, transaction) => {
+  return Table.findAll({
+    where: { id: { [Op.in]: tableIds } },
+    order: [['id', 'ASC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+};
+
+/**
+ * Menyimpan daftar meja untuk reservasi gabungan.
+ * Reservasi satu meja tidak memerlukan baris di ReservationTable.
+ */
+const saveReservationTables = async (reservation, seating, transaction) => {
+  await ReservationTable.destroy({
+    where: { reservation_id: reservation.id },
+    transaction
+  });
+
+  if (seating.tables.length > 1) {
+    await ReservationTable.bulkCreate(
+      seating.tables.map((table) => ({ reservation_id: reservation.id, table_id: table.id })),
+      { transaction }
+    );
+  }
+};
+
+/**
+ * Ringkasan meja yang dipilih untuk dikirim ke client
+ */
+const describeSeating = (seating) => ({
+  assignedTable: {
+    id: seating.tables[0].id,
+    table_number: seating.tables[0].table_number,
+    capacity: seating.tables[0].capacity,
+    zone_id: seating.tables[0].zone_id
+  },
+  assignedTables: seating.tables.map((table) => ({
+    id: table.id,
+    table_number: table.table_number,
+    capacity: table.capacity,
+    zone_id: table.zone_id
+  })),
+  combination: seating.combination
+    ? { id: seating.combination.id, name: seating.combination.name, capacity: seating.capacity }
+    : null
+});
+
+/**
+ * Kombinasi bisa dipakai jika memiliki meja dan semua mejanya bisa dibooking pada waktu mulai
+ * booking (tidak diarsipkan dan tidak out_of_service, lihat Table.isBookable)
+ * Membutuhkan relasi 'tables' sudah di-include
+ * @param {TableCombination} combination - Kombinasi meja
+ * @param {Date|null} start - Waktu mulai booking (default: sekarang); null = hanya cek arsip
+ */
+const isUsableCombination = (combination, start = new Date()) => {
+  return combination.tables.length > 0 && combination.tables.every((table) => table.isBookable(start));
+};
+
+/**
+ * Mencari susunan meja yang paling pas untuk jumlah tamu pada waktu tertentu.
+ * Meja tunggal dengan kapasitas terkecil yang masih cukup dan tidak bentrok
+ * (menurut checkReservationAvailability) akan dipilih lebih dulu. Jika tidak ada,
+ * kombinasi meja dengan kapasitas terkecil yang cukup akan dipakai.
+ * Jika zone_id diisi, meja (atau kombinasi yang semua mejanya) di zona tersebut didahulukan.
+ * @param {number} guest_count - Jumlah tamu
+ * @param {string} reservation_date - Tanggal reservasi (format: YYYY-MM-DD)
+ * @param {string} reservation_time - Waktu mulai reservasi (format: HH:MM:SS)
+ * @param {number} duration - Durasi reservasi dalam menit
+ * @param {Object} options - { transaction, reservation_id, user_id, hold_token, zone_id }
+ * @returns {Promise<{tables: Table[], capacity: number, combination: TableCombination|null}|null>}
+ *   - Susunan meja yang dipilih atau null jika tidak ada
+ */
+const findBestFitSeating = async (guest_count, reservation_date, reservation_time, duration, options = {}) => {
+  const { transaction, reservation_id = null, user_id, hold_token } = options;
+  const zoneId = options.zone_id ? parseInt(options.zone_id, 10) : null;
+
+  const start = toDate(toDateTime(reservation_date, timeToMinutes(reservation_time)));
+
+  // 0 untuk meja di zona yang diminta, 1 untuk lainnya
+  const zoneRank = (tables) => (zoneId && tables.every((table) => table.zone_id === zoneId) ? 0 : 1);
+
+  const isFree = async (tables) => {
+    const availabilityCheck = await checkReservationAvailability(
+      tables.map((table) => table.id),
+      reservation_date,
+      reservation_time,
+      duration,
+      reservation_id,
+      { transaction, user_id, hold_token }
+    );
+    return availabilityCheck.isAvailable;
+  };
+
+  // Saat booking, kunci semua kandidat agar meja yang dipilih tidak direbut request lain
+  const candidateTables = await Table.findAll({
+    where: {
+      ...Table.fitsPartyCondition(guest_count),
+      ...Table.bookableCondition(start)
+    },
+    order: [['id', 'ASC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  candidateTables.sort((a, b) => zoneRank([a]) - zoneRank([b]) || a.capacity - b.capacity || a.id - b.id);
+
+  for (const table of candidateTables) {
+    if (await isFree([table])) {
+      return { tables: [table], capacity: table.capacity, combination: null };
+    }
+  }
+
+  // Tidak ada meja tunggal yang cukup, coba kombinasi meja
+  const combinations = await TableCombination.findAll({
+    include: [{ model: Table, as: 'tables' }],
+    transaction
+  });
+  const candidateCombinations = combinations
+    .filter((combination) => isUsableCombination(combination, start) && combination.getSeatingCapacity() >= guest_count)
+    .sort((a, b) => a.getSeatingCapacity() - b.getSeatingCapacity() || a.id - b.id);
+
+  if (candidateCombinations.length === 0) {
+    return null;
+  }
+
+  const combinationTableIds = [...new Set(
+    candidateCombinations.flatMap((combination) => combination.tables.map((table) => table.id))
+  )];
+  const lockedTables = await lockTables(combinationTableIds, transaction);
+  const lockedById = new Map(lockedTables.map((table) => [table.id, table]));
+
+  if (zoneId) {
+    candidateCombinations.sort((a, b) => {
+      return zoneRank(a.tables.map((table) => lockedById.get(table.id))) -
+        zoneRank(b.tables.map((table) => lockedById.get(table.id)));
+    });
+  }
+
+  for (const combination of candidateCombinations) {
+    const tables = combination.tables
+      .map((table) => lockedById.get(table.id))
+      .sort((a, b) => a.id - b.id);
+
+    if (await isFree(tables)) {
+      return { tables, capacity: combination.getSeatingCapacity(), combination };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Menghitung ulang status semua meja yang dipakai sebuah reservasi
+ * @param {Reservation} reservation - Data reservasi
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Array<{table_id: number, status: string, reason: string}>>}
+ */
+const refreshReservationTables = async (reservation, options = {}) => {
+  const tableIds = await ReservationTable.findTableIds(reservation, options);
+  return refreshTablesById(tableIds, options);
+};
+
+/**
+ * Menghitung ulang status beberapa meja sekaligus
+ * (misalnya meja lama dan meja baru setelah reservasi dipindahkan)
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Array<{table_id: number, status: string, reason: string}>>}
+ */
+const refreshTablesById = async (tableIds, options = {}) => {
+  const tables = await Table.findAll({
+    where: { id: { [Op.in]: tableIds } },
+    order: [['id', 'ASC']],
+    transaction: options.transaction
+  });
+
+  const results = [];
+  for (const table of tables) {
+    const { status, reason } = await refreshTableStatus(table, options);
+    results.push({ table_id: table.id, status, reason });
+  }
+
+  return results;
+};
+
+/**
+ * Mengambil jadwal terpakai setiap meja di sekitar satu tanggal.
+ * Satu query untuk semua reservasi yang bersinggungan dengan tanggal tersebut dan
+ * hari berikutnya (slot boleh melewati tengah malam); menit dihitung relatif terhadap awal
+ * tanggal yang diminta (hari sebelumnya bernilai negatif, hari berikutnya >= 1440).
+ * Reservasi gabungan dicatat pada semua meja yang dipakainya, dan hold milik
+ * user lain, blokir meja serta masa out_of_service ikut dihitung sebagai waktu terpakai.
+ * @param {string} date - Tanggal (format: YYYY-MM-DD)
+ * @param {Object} options - { reservation_id (dikecualikan), user_id, hold_token, transaction }
+ * @returns {Promise<Map<number, Array<{start: number, end: number}>>>} - Rentang waktu terpakai per meja
+ */
+const getBusyIntervalsByTable = async (date, options = {}) => {
+  // Rentang terpakai setiap meja diperpanjang sebesar jeda membersihkan mejanya
+  const tables = await Table.findAll({
+    attributes: ['id', 'turnover_buffer', 'status', 'status_override_until'],
+    transaction: options.transaction
+  });
+  const bufferByTable = new Map(tables.map((table) => [table.id, table.getTurnoverBuffer()]));
+  const maxBuffer = Math.max(0, ...bufferByTable.values());
+
+  const dayRange = overlapsRange(
+    toDateTime(date, -maxBuffer),
+    toDateTime(date, 2 * MINUTES_PER_DAY + maxBuffer)
+  );
+  const whereCondition = {
+    ...dayRange,
+    status: {
+      [Op.notIn]: INACTIVE_STATUSES
+    }
+  };
+
+  if (options.reservation_id) {
+    whereCondition.id = { [Op.ne]: options.reservation_id };
+  }
+
+  const reservations = await Reservation.findAll({
+    where: whereCondition,
+    include: [
+      { model: Table, as: 'tables', attributes: ['id'], through: { attributes: [] } }
+    ],
+    transaction: options.transaction
+  });
+
+  const holds = await ReservationHold.findAll({
+    where: {
+      [Op.and]: [ReservationHold.liveCondition(options), dayRange]
+    },
+    include: [{
+      model: TableCombination,
+      include: [{ model: Table, as: 'tables', attributes: ['id'], through: { attributes: [] } }]
+    }],
+    transaction: options.transaction
+  });
+
+  const entries = [
+    ...reservations.map((reservation) => ({
+      booking: reservation,
+      tableIds: reservation.tables.length > 0
+        ? reservation.tables.map((table) => table.id)
+        : [reservation.table_id]
+    })),
+    ...holds.map((hold) => ({
+      booking: hold,
+      tableIds: hold.TableCombination
+        ? hold.TableCombination.tables.map((table) => table.id)
+        : [hold.table_id]
+    }))
+  ];
+
+  const busyByTable = new Map();
+  for (const { booking, tableIds } of entries) {
+    const start = diffDays(date, booking.reservation_date) * MINUTES_PER_DAY +
+      timeToMinutes(booking.reservation_time);
+    const end = start + booking.duration;
+
+    for (const tableId of tableIds) {
+      if (!busyByTable.has(tableId)) {
+        busyByTable.set(tableId, []);
+      }
+      const buffer = bufferByTable.get(tableId) || 0;
+      busyByTable.get(tableId).push({ start: start - buffer, end: end + buffer });
+    }
+  }
+
+  // Blokir meja dihitung apa adanya, tanpa jeda membersihkan meja
+  const blocks = await TableBlock.findAll({
+    where: overlapsRange(toDateTime(date, 0), toDateTime(date, 2 * MINUTES_PER_DAY)),
+    include: [{ model: Table, as: 'tables', attributes: ['id'], through: { attributes: [] } }],
+    transaction: options.transaction
+  });
+  const dayStart = toDateTime(date, 0);
+  for (const block of blocks) {
+    const start = diffMinutes(dayStart, getCurrentDateTime(block.start_at).dateTime);
+    const end = diffMinutes(dayStart, getCurrentDateTime(block.end_at).dateTime);
+    const tableIds = block.all_tables ? [...bufferByTable.keys()] : block.tables.map((table) => table.id);
+
+    for (const tableId of tableIds) {
+      if (!busyByTable.has(tableId)) {
+        busyByTable.set(tableId, []);
+      }
+      busyByTable.get(tableId).push({ start, end });
+    }
+  }
+
+  // Meja out_of_service terpakai sejak sekarang sampai status_override_until (tanpa batas jika kosong)
+  const nowMinutes = diffMinutes(dayStart, getCurrentDateTime().dateTime);
+  for (const table of tables.filter((candidate) => candidate.status === 'out_of_service')) {
+    const end = table.status_override_until
+      ? diffMinutes(dayStart, getCurrentDateTime(table.status_override_until).dateTime)
+      : Infinity;
+    if (end <= nowMinutes) {
+      continue;
+    }
+
+    if (!busyByTable.has(table.id)) {
+      busyByTable.set(table.id, []);
+    }
+    busyByTable.get(table.id).push({ start: nowMinutes, end });
+  }
+
+  return busyByTable;
+};
+
+/**
+ * Cek apakah semua meja kosong pada rentang waktu tertentu menurut jadwal terpakai
+ * @param {Map} busyByTable - Hasil getBusyIntervalsByTable
+ * @param {number[]} tableIds - Daftar ID meja
+ * @param {number} start - Menit mulai
+ * @param {number} end - Menit selesai
+ * @returns {boolean}
+ */
+const areTablesFree = (busyByTable, tableIds, start, end) => {
+  return tableIds.every((tableId) => {
+    return !(busyByTable.get(tableId) || []).some((busy) => isOverlapping(busy.start, busy.end, start, end));
+  });
+};
+
+module.exports = {
+  getTurnoverBuffer,
+  checkReservationAvailability,
+  runBookingTransaction,
+  lockTables,
+  saveReservationTables,
+  describeSeating,
+  isUsableCombination,
+  findBestFitSeating,
+  refreshReservationTables,
+  refreshTablesById,
+  getBusyIntervalsByTable,
+  areTablesFree
+};
@@ -0,0 +1,187 @@
+const { Op } = require('sequelize');
+const Reservation = require('../models/Reservation');
+const ReservationTable = require('../models/ReservationTable');
+const Table = require('../models/Table');
+const Zone = require('../models/Zone');
+const { timeToMinutes, toDateTime, toDate, getCurrentDateTime } = require('./reservationTime');
+const { CHRONOLOGICAL_ORDER } = require('./reservationQuery');
+const { INACTIVE_STATUSES } = require('./reservationLifecycle');
+const {
+  runBookingTransaction,
+  lockTables,
+  saveReservationTables,
+  describeSeating,
+  findBestFitSeating,
+  refreshReservationTables,
+  getBusyIntervalsByTable,
+  areTablesFree
+} = require('./seating');
+
+/**
+ * Mencari meja yang kosong pada rentang waktu tertentu menurut jadwal reservasi, hold dan
+ * blokir meja (bukan status meja saat ini). Dipakai oleh tableController.getAvailableTables.
+ * Setiap meja disertai jendela kosongnya: sejak kapan meja sudah kosong (free_from) dan
+ * sampai kapan meja harus sudah dikosongkan untuk booking berikutnya (free_until), termasuk
+ * jeda membersihkan meja. null berarti tidak ada booking lain pada hari itu atau hari berikutnya.
+ * @param {string} date - Tanggal (format: YYYY-MM-DD)
+ * @param {string} time - Waktu mulai (format: HH:MM:SS)
+ * @param {number} duration - Durasi dalam menit
+ * @param {Object} options - { guests, where (filter tambahan untuk meja) }
+ * @returns {Promise<Array<{table: Table, free_from: string|null, free_until: string|null, free_minutes: number|null}>>}
+ */
+const findFreeTables = async (date, time, duration, options = {}) => {
+  const guestCondition = options.guests ? Table.fitsPartyCondition(options.guests) : {};
+  const tables = await Table.findAll({
+    where: { ...options.where, ...guestCondition, ...Table.bookableCondition(toDate(toDateTime(date, timeToMinutes(time)))) },
+    include: [{ model: Zone, attributes: ['id', 'name'] }],
+    order: [['capacity', 'ASC'], ['id', 'ASC']]
+  });
+  const busyByTable = await getBusyIntervalsByTable(date);
+
+  const start = timeToMinutes(time);
+  const end = start + duration;
+
+  return tables
+    .filter((table) => areTablesFree(busyByTable, [table.id], start, end))
+    .map((table) => {
+      const busy = busyByTable.get(table.id) || [];
+      const before = busy.filter((interval) => interval.end <= start).map((interval) => interval.end);
+      const after = busy.filter((interval) => interval.start >= end).map((interval) => interval.start);
+      const freeFrom = before.length > 0 ? Math.max(...before) : null;
+      const freeUntil = after.length > 0 ? Math.min(...after) : null;
+
+      return {
+        table,
+        free_from: freeFrom === null ? null : toDateTime(date, freeFrom),
+        free_until: freeUntil === null ? null : toDateTime(date, freeUntil),
+        free_minutes: freeUntil === null ? null : freeUntil - start
+      };
+    });
+};
+
+/**
+ * Mengarsipkan meja (dipakai oleh tableController.deleteTable).
+ * Meja dengan reservasi yang belum selesai tidak diarsipkan (409), kecuali
+ * options.reassign bernilai true: setiap reservasi tersebut dipindahkan ke meja lain
+ * yang cukup dan kosong (zona yang sama didahulukan). Jika ada satu saja yang tidak
+ * bisa dipindahkan, seluruh perubahan dibatalkan.
+ * @param {number} tableId - ID meja
+ * @param {Object} options - { reassign }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+const archiveTable = async (tableId, options = {}) => {
+  try {
+    return await runBookingTransaction(async (transaction) => {
+      const [table] = await lockTables([tableId], transaction);
+      if (!table || table.archived_at) {
+        return { status: 404, body: { message: 'Meja tidak ditemukan' } };
+      }
+
+      const now = getCurrentDateTime();
+      const linkedReservationIds = await ReservationTable.findReservationIds([table.id], { transaction });
+      const reservations = await Reservation.findAll({
+        where: {
+          status: { [Op.notIn]: INACTIVE_STATUSES },
+          end_at: { [Op.gt]: toDate(now.dateTime) },
+          [Op.or]: [
+            { table_id: table.id },
+            { id: { [Op.in]: linkedReservationIds } }
+          ]
+        },
+        order: CHRONOLOGICAL_ORDER,
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (reservations.length > 0 && !options.reassign) {
+        return {
+          status: 409,
+          body: {
+            message: `Meja masih memiliki ${reservations.length} reservasi yang belum selesai. Pindahkan reservasi atau kirim reassign=true`,
+            code: 'TABLE_HAS_BOOKINGS',
+            reservations
+          }
+        };
+      }
+
+      // Arsipkan dulu agar meja ini tidak terpilih saat memindahkan reservasi
+      table.archived_at = new Date();
+      await table.save({ transaction });
+
+      const reassigned = [];
+      const failed = [];
+      for (const reservation of reservations) {
+        // Tamu yang sudah duduk tidak bisa dipindahkan otomatis
+        const seating = reservation.start_at > toDate(now.dateTime)
+          ? await findBestFitSeating(
+            reservation.guest_count,
+            reservation.reservation_date,
+            reservation.reservation_time,
+            reservation.duration,
+            {
+              transaction,
+              reservation_id: reservation.id,
+              user_id: reservation.user_id,
+              zone_id: reservation.preferred_zone_id || table.zone_id
+            }
+          )
+          : null;
+
+        if (!seating) {
+          failed.push({
+            reservation_id: reservation.id,
+            reservation_date: reservation.reservation_date,
+            reservation_time: reservation.reservation_time,
+            guest_count: reservation.guest_count,
+            status: reservation.status
+          });
+          continue;
+        }
+
+        await reservation.update({
+          table_id: seating.tables[0].id,
+          combination_id: seating.combination ? seating.combination.id : null
+        }, { transaction });
+        await saveReservationTables(reservation, seating, transaction);
+        await refreshReservationTables(reservation, { transaction });
+
+        reassigned.push({ reservation_id: reservation.id, ...describeSeating(seating) });
+      }
+
+      if (failed.length > 0) {
+        const rollback = new Error('Reassignment failed');
+        rollback.result = {
+          status: 409,
+          body: {
+            message: `${failed.length} reservasi tidak dapat dipindahkan ke meja lain, meja tidak diarsipkan`,
+            code: 'REASSIGNMENT_FAILED',
+            failed
+          }
+        };
+        throw rollback;
+      }
+
+      return {
+        status: 200,
+        body: {
+          message: reassigned.length > 0
+            ? `Meja berhasil diarsipkan, ${reassigned.length} reservasi dipindahkan`
+            : 'Meja berhasil diarsipkan',
+          table,
+          reassigned
+        }
+      };
+    });
+  } catch (error) {
+    // Transaksi sudah di-rollback, kembalikan daftar reservasi yang gagal dipindahkan
+    if (error.result) {
+      return error.result;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  findFreeTables,
+  archiveTable
+};
@@ -0,0 +1,170 @@
+const Reservation = require('../models/Reservation');
+const ReservationTable = require('../models/ReservationTable');
+const { Op } = require('sequelize');
+const { activeAt, endsBetween, startsBetween, CHRONOLOGICAL_ORDER } = require('./reservationQuery');
+const { TABLE_HOLDING_STATUSES } = require('./reservationLifecycle');
+const { addDays, toDateTime, addMinutes, diffMinutes, getReservationRange, getCurrentDateTime, toDate } = require('./reservationTime');
+
+// Meja dianggap occupied jika reservasi berikutnya dimulai dalam waktu ini (menit)
+const UPCOMING_OCCUPIED_MINUTES = 60;
+
+/**
+ * Menghitung status meja berdasarkan reservasi confirmed dan seated:
+ * - occupied: ada reservasi yang sedang berlangsung, atau reservasi berikutnya dimulai <= 60 menit lagi
+ * - cleaning: reservasi yang ditempati baru selesai, masih dalam jeda membersihkan meja
+ * - reserved: ada reservasi berikutnya hari ini (lebih dari 60 menit lagi)
+ * - available: tidak ada reservasi aktif maupun berikutnya
+ * Reservasi gabungan (multi-meja) yang memakai meja ini ikut dihitung.
+ * @param {Table} table - Data meja
+ * @param {Object} options - { now (hasil getCurrentDateTime), excludeReservationId, transaction }
+ * @returns {Promise<{status: string, reason: string, reservation: Reservation|null}>}
+ */
+const computeTableStatus = async (table, options = {}) => {
+  const { transaction, excludeReservationId } = options;
+  const tableId = table.id;
+  const now = options.now || getCurrentDateTime();
+
+  const linkedReservationIds = await ReservationTable.findReservationIds([tableId], { transaction });
+  const conditions = [
+    {
+      [Op.or]: [
+        { table_id: tableId },
+        { id: { [Op.in]: linkedReservationIds } }
+      ]
+    }
+  ];
+  if (excludeReservationId) {
+    conditions.push({ id: { [Op.ne]: excludeReservationId } });
+  }
+
+  // Reservasi yang sedang berlangsung (waktu mulai <= sekarang < waktu selesai)
+  const activeReservation = await Reservation.findOne({
+    where: {
+      status: { [Op.in]: TABLE_HOLDING_STATUSES },
+      [Op.and]: [...conditions, activeAt(now.dateTime)]
+    },
+    transaction
+  });
+
+  if (activeReservation) {
+    return {
+      status: 'occupied',
+      reason: `Active reservation #${activeReservation.id}`,
+      reservation: activeReservation
+    };
+  }
+
+  // Reservasi yang ditempati dan baru selesai: meja masih dibersihkan
+  const turnoverBuffer = table.getTurnoverBuffer();
+  if (turnoverBuffer > 0) {
+    const finishedReservation = await Reservation.findOne({
+      where: {
+        status: { [Op.in]: ['seated', 'completed'] },
+        [Op.and]: [...conditions, endsBetween(addMinutes(now.dateTime, -turnoverBuffer), now.dateTime)]
+      },
+      order: [['end_at', 'DESC'], ['id', 'DESC']],
+      transaction
+    });
+
+    if (finishedReservation) {
+      return {
+        status: 'cleaning',
+        reason: `Reservation #${finishedReservation.id} ended, turnover buffer ${turnoverBuffer} minutes`,
+        reservation: finishedReservation
+      };
+    }
+  }
+
+  // Reservasi berikutnya: sampai akhir hari ini, dan minimal 60 menit ke depan
+  // agar reservasi setelah tengah malam tetap terlihat menjelang pergantian hari
+  const endOfToday = `${addDays(now.date, 1)} 00:00:00`;
+  const occupiedHorizon = toDateTime(now.date, now.minutes + UPCOMING_OCCUPIED_MINUTES);
+  const horizon = occupiedHorizon > endOfToday ? occupiedHorizon : endOfToday;
+
+  const nextReservation = await Reservation.findOne({
+    where: {
+      status: 'confirmed',
+      [Op.and]: [...conditions, startsBetween(now.dateTime, horizon)]
+    },
+    order: CHRONOLOGICAL_ORDER,
+    transaction
+  });
+
+  if (nextReservation) {
+    const { start } = getReservationRange(
+      nextReservation.reservation_date,
+      nextReservation.reservation_time,
+      nextReservation.duration
+    );
+    const minutesUntilStart = Math.floor(diffMinutes(now.dateTime, start));
+
+    if (minutesUntilStart <= UPCOMING_OCCUPIED_MINUTES) {
+      return {
+        status: 'occupied',
+        reason: `Upcoming reservation #${nextReservation.id} in ${minutesUntilStart} minutes`,
+        reservation: nextReservation
+      };
+    }
+
+    return {
+      status: 'reserved',
+      reason: `Next reservation #${nextReservation.id} in ${minutesUntilStart} minutes`,
+      reservation: nextReservation
+    };
+  }
+
+  return {
+    status: 'available',
+    reason: 'No active or upcoming reservations',
+    reservation: null
+  };
+};
+
+/**
+ * Menghitung ulang status meja lalu menyimpannya jika berubah.
+ * Meja dengan override manual yang masih berlaku dilewati; override yang
+ * sudah kedaluwarsa dihapus lalu statusnya dihitung ulang.
+ * @param {Table} table - Data meja
+ * @param {Object} options - Sama dengan computeTableStatus
+ * @returns {Promise<{oldStatus: string, status: string, reason: string, changed: boolean, overridden: boolean}>}
+ */
+const refreshTableStatus = async (table, options = {}) => {
+  const oldStatus = table.status;
+  const now = options.now || getCurrentDateTime();
+
+  if (table.hasActiveOverride(toDate(now.dateTime))) {
+    return {
+      oldStatus,
+      status: oldStatus,
+      reason: `Manual override: ${table.status_override_reason || 'no reason given'}`,
+      changed: false,
+      overridden: true
+    };
+  }
+
+  const overrideExpired = Boolean(table.status_override_at);
+  if (overrideExpired) {
+    table.clearOverride();
+  }
+
+  const { status, reason } = await computeTableStatus(table, { ...options, now });
+
+  if (oldStatus !== status || overrideExpired) {
+    table.status = status;
+    await table.save({ transaction: options.transaction });
+  }
+
+  return {
+    oldStatus,
+    status,
+    reason,
+    changed: oldStatus !== status,
+    overridden: false
+  };
+};
+
+module.exports = {
+  UPCOMING_OCCUPIED_MINUTES,
+  computeTableStatus,
+  refreshTableStatus
+};
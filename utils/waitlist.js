@@ -0,0 +1,241 @@
+const { Op } = require('sequelize');
+const Waitlist = require('../models/Waitlist');
+const Reservation = require('../models/Reservation');
+const ReservationTable = require('../models/ReservationTable');
+const Table = require('../models/Table');
+const TableCombination = require('../models/TableCombination');
+const TableBlock = require('../models/TableBlock');
+const { CHRONOLOGICAL_ORDER } = require('./reservationQuery');
+const { INACTIVE_STATUSES } = require('./reservationLifecycle');
+const { getCurrentDateTime, toDate } = require('./reservationTime');
+
+// Perkiraan lama duduk tamu waitlist (menit), dipakai untuk mencari celah di antara reservasi
+const WAITLIST_STAY_MINUTES = parseInt(process.env.WAITLIST_STAY_MINUTES, 10) || 60;
+
+// Status antrean yang masih menunggu meja
+const QUEUED_STATUSES = ['waiting', 'notified'];
+
+/**
+ * Waktu paling awal meja-meja tertentu kosong selama WAITLIST_STAY_MINUTES,
+ * dihitung dari waktu selesai reservasi dan blokir meja yang sedang berlangsung dan berikutnya
+ * @param {number[]} tableIds - Daftar ID meja (semua harus kosong)
+ * @param {Date} from - Waktu mulai pencarian
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Date>}
+ */
+const findFreeAt = async (tableIds, from, options = {}) => {
+  const linkedReservationIds = await ReservationTable.findReservationIds(tableIds, options);
+  const reservations = await Reservation.findAll({
+    where: {
+      status: { [Op.notIn]: INACTIVE_STATUSES },
+      end_at: { [Op.gt]: from },
+      [Op.or]: [
+        { table_id: { [Op.in]: tableIds } },
+        { id: { [Op.in]: linkedReservationIds } }
+      ]
+    },
+    order: CHRONOLOGICAL_ORDER,
+    transaction: options.transaction
+  });
+  const blocks = await TableBlock.findAll({
+    where: {
+      [Op.and]: [
+        await TableBlock.tablesCondition(tableIds, options),
+        { end_at: { [Op.gt]: from } }
+      ]
+    },
+    transaction: options.transaction
+  });
+
+  const busy = [...reservations, ...blocks].sort((a, b) => a.start_at - b.start_at);
+
+  let freeAt = from;
+  for (const interval of busy) {
+    // Celah sebelum reservasi atau blokir ini cukup untuk tamu waitlist
+    if (interval.start_at.getTime() >= freeAt.getTime() + WAITLIST_STAY_MINUTES * 60000) {
+      break;
+    }
+    if (interval.end_at > freeAt) {
+      freeAt = interval.end_at;
+    }
+  }
+
+  return freeAt;
+};
+
+/**
+ * Cek apakah rombongan muat di susunan meja (untuk meja tunggal sama dengan Table.fitsPartyCondition)
+ * @param {{capacity: number, minCapacity: number|null}} seating - Susunan meja
+ * @param {number} partySize - Jumlah tamu
+ * @returns {boolean}
+ */
+const seatingFits = (seating, partySize) => {
+  return seating.capacity >= partySize && (!seating.minCapacity || seating.minCapacity <= partySize);
+};
+
+/**
+ * Memperkirakan waktu tunggu untuk rombongan baru di antrean.
+ * Antrean disimulasikan: setiap meja yang bisa dibooking (lihat Table.isBookable) dihitung
+ * kapan kosongnya, lalu rombongan yang lebih dulu mengantre (urut created_at) mendapat
+ * susunan meja terkecil yang muat dan memakainya selama WAITLIST_STAY_MINUTES.
+ * Perkiraan untuk rombongan baru adalah waktu kosong paling awal dari susunan meja
+ * yang muat setelah simulasi tersebut.
+ * @param {number} partySize - Jumlah tamu
+ * @param {Object} options - { now (hasil getCurrentDateTime), transaction }
+ * @returns {Promise<number|null>} - Perkiraan menit, atau null jika tidak ada meja yang cukup
+ */
+const estimateWaitMinutes = async (partySize, options = {}) => {
+  const { transaction } = options;
+  const now = toDate((options.now || getCurrentDateTime()).dateTime);
+
+  const tables = await Table.findAll({
+    where: Table.bookableCondition(),
+    transaction
+  });
+  const combinations = (await TableCombination.findAll({
+    include: [{ model: Table, as: 'tables', through: { attributes: [] } }],
+    transaction
+  })).filter((combination) => {
+    return combination.tables.length > 0 && combination.tables.every((table) => table.isBookable());
+  });
+
+  const seatings = [
+    ...tables.map((table) => ({ tableIds: [table.id], capacity: table.capacity, minCapacity: table.min_capacity })),
+    ...combinations.map((combination) => ({
+      tableIds: combination.tables.map((table) => table.id),
+      capacity: combination.getSeatingCapacity(),
+      minCapacity: null
+    }))
+  ].sort((a, b) => a.capacity - b.capacity || a.tableIds.length - b.tableIds.length);
+  if (!seatings.some((seating) => seatingFits(seating, partySize))) {
+    return null;
+  }
+
+  // Waktu kosong per meja; kombinasi kosong saat semua mejanya kosong
+  const freeAtByTable = new Map();
+  for (const tableId of new Set(seatings.flatMap((seating) => seating.tableIds))) {
+    freeAtByTable.set(tableId, (await findFreeAt([tableId], now, { transaction })).getTime());
+  }
+  const seatingFreeAt = (seating) => Math.max(...seating.tableIds.map((tableId) => freeAtByTable.get(tableId)));
+
+  const partiesAhead = await Waitlist.findAll({
+    where: { status: { [Op.in]: QUEUED_STATUSES } },
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+
+  for (const party of partiesAhead) {
+    // Susunan meja terkecil yang muat; jika sama besar, yang paling cepat kosong
+    const fitting = seatings.filter((seating) => seatingFits(seating, party.party_size));
+    if (fitting.length === 0) {
+      continue;
+    }
+    const smallest = fitting.filter((seating) => seating.capacity === fitting[0].capacity);
+    const seating = smallest.reduce((best, candidate) => (seatingFreeAt(candidate) < seatingFreeAt(best) ? candidate : best));
+
+    const seatedUntil = seatingFreeAt(seating) + WAITLIST_STAY_MINUTES * 60000;
+    for (const tableId of seating.tableIds) {
+      freeAtByTable.set(tableId, seatedUntil);
+    }
+  }
+
+  const freeAt = Math.min(
+    ...seatings.filter((seating) => seatingFits(seating, partySize)).map(seatingFreeAt)
+  );
+  return Math.max(0, Math.ceil((freeAt - now.getTime()) / 60000));
+};
+
+/**
+ * Meja tunggal terkecil yang muat untuk rombongan dan kosong sekarang
+ * selama WAITLIST_STAY_MINUTES
+ * @param {number} partySize - Jumlah tamu
+ * @param {Date} now - Waktu acuan
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Table|null>}
+ */
+const findSmallestFreeTable = async (partySize, now, options = {}) => {
+  const tables = await Table.findAll({
+    where: { ...Table.fitsPartyCondition(partySize), ...Table.bookableCondition() },
+    order: [['capacity', 'ASC'], ['id', 'ASC']],
+    transaction: options.transaction
+  });
+
+  for (const table of tables) {
+    if ((await findFreeAt([table.id], now, options)) <= now) {
+      return table;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Menandai rombongan pertama di antrean yang muat di meja sebuah reservasi
+ * yang baru dibatalkan atau selesai, selama meja tersebut memang kosong sekarang.
+ * Hanya berlaku jika slot yang dilepas mengenai waktu sekarang sampai WAITLIST_STAY_MINUTES
+ * ke depan (reservasi yang baru selesai juga termasuk); pembatalan untuk hari lain tidak
+ * membuat meja kosong sekarang. Rombongan diberi meja tunggal terkecil yang muat;
+ * untuk reservasi kombinasi meja, notified_table_id dibiarkan kosong.
+ * @param {Reservation} reservation - Reservasi yang melepas meja
+ * @param {Object} options - { now (hasil getCurrentDateTime), transaction }
+ * @returns {Promise<Waitlist|null>} - Entri yang ditandai notified, atau null
+ */
+const notifyNextWaitlistEntry = async (reservation, options = {}) => {
+  const { transaction } = options;
+  const now = toDate((options.now || getCurrentDateTime()).dateTime);
+
+  if (reservation.start_at.getTime() >= now.getTime() + WAITLIST_STAY_MINUTES * 60000) {
+    return null;
+  }
+
+  const tableIds = await ReservationTable.findTableIds(reservation, { transaction });
+  const freeAt = await findFreeAt(tableIds, now, { transaction });
+  if (freeAt > now) {
+    return null;
+  }
+
+  let capacity;
+  if (reservation.combination_id) {
+    const combination = await TableCombination.findByPk(reservation.combination_id, {
+      include: [{ model: Table, as: 'tables', through: { attributes: [] } }],
+      transaction
+    });
+    capacity = combination ? combination.getSeatingCapacity() : 0;
+  } else {
+    const tables = await Table.findAll({ where: { id: { [Op.in]: tableIds } }, transaction });
+    capacity = tables.reduce((total, table) => total + table.capacity, 0);
+  }
+
+  const entry = await Waitlist.findOne({
+    where: {
+      status: 'waiting',
+      party_size: { [Op.lte]: capacity }
+    },
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    transaction
+  });
+  if (!entry) {
+    return null;
+  }
+
+  let notifiedTableId = null;
+  if (!reservation.combination_id) {
+    const table = await findSmallestFreeTable(entry.party_size, now, { transaction });
+    notifiedTableId = table ? table.id : reservation.table_id;
+  }
+
+  await entry.update({
+    status: 'notified',
+    notified_table_id: notifiedTableId,
+    notified_at: now
+  }, { transaction });
+
+  return entry;
+};
+
+module.exports = {
+  WAITLIST_STAY_MINUTES,
+  QUEUED_STATUSES,
+  estimateWaitMinutes,
+  notifyNextWaitlistEntry
+};